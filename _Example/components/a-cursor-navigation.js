@@ -17,9 +17,34 @@
  *
  * COMPONENTS:
  *   navmesh           - Mark as teleportable surface
+ *   teleport-anchor   - Snap landings nearby to this point and facing
+ *   no-go-volume      - Invisible box nobody may land or walk in
  *   raycast-exclude   - Ignore in teleport raycasts
  *   a-cursor-teleport - Main teleport system (on camera)
  *   go-to             - Click to navigate to position
+ *   save-position-and-rotation - Location bookmarks (on a-scene or the camera)
+ *   tour              - Guided tour through go-to waypoints or inline poses
+ *   multi-user        - See the others in the same scene (on a-scene)
+ *   navigation-telemetry - Record where people go (on a-scene)
+ *
+ * SETTINGS (navmesh):
+ *   enabled     : true - Disabled navmeshes can't be landed on or walked on
+ *   enableOn    :      - Event that enables it (e.g. "unlocked")
+ *   disableOn   :      - Event that disables it
+ *   eventSource :      - Selector of the entity emitting those events
+ *                        (default: the navmesh itself)
+ *   region      :      - Region name; a-cursor-teleport emits region-enter and
+ *                        region-leave ({ region, el }) when the player's floor
+ *                        changes region
+ *
+ * SETTINGS (teleport-anchor, on an entity standing on a navmesh):
+ *   radius      : 0.75 - Landings within this distance snap to the anchor
+ *   face        : true - Also turn to the anchor's facing (its -Z axis)
+ *
+ * SETTINGS (no-go-volume):
+ *   size        : 1 1 1 - Box size in the entity's space (it scales and
+ *                         rotates with it); shown as wireframe with ?debug=true
+ *   Landing spots, walking and walk-to paths avoid the box.
  *
  * SETTINGS (a-cursor-teleport):
  *   cameraHeight      : 1.6    - Height above navmesh (desktop without rig)
@@ -31,6 +56,90 @@
  *   alignToSurface    : true   - Tilt to match surface normal
  *   rotationSmoothing : 1.0    - Rotation lerp factor (0-1)
  *
+ * LANDING CHECKS (player capsule):
+ *   validateLanding   : true   - Refuse spots without room for the player
+ *   playerHeight      : 1.7    - Free space needed above the landing spot (m)
+ *   playerRadius      : 0.2    - Free space needed around the landing spot (m)
+ *   rejectColor       : #ff4040 - Indicator color on a refused spot
+ *   The indicator shows why a spot is refused (too steep, no headroom, too
+ *   narrow); clicking it emits "navigation-rejected" with that reason.
+ *
+ * INPUT SOURCES:
+ *   inputs            : mouse, gaze, trigger, pinch - Sources that can teleport
+ *     mouse   - click on desktop (a-cursor)
+ *     gaze    - a-cursor click in VR (fuse)
+ *     trigger - controller trigger: aim with the controller, release to teleport
+ *     pinch   - hand tracking pinch: aim with the hand, release to teleport
+ *     dwell   - rest the cursor on a spot or a go-to waypoint (see DWELL)
+ *   In VR the controller or hand that was pressed last aims the indicator.
+ *   navigation-start/-end carry { source, point } with the input that was
+ *   used and the chosen floor point.
+ *
+ * DWELL (Cardboard and no-click setups, add "dwell" to inputs):
+ *   dwellTime         : 1500   - Ms the cursor has to rest before it fires
+ *   dwellTolerance    : 0.3    - How far the gaze may drift before it restarts (m)
+ *   dwellColor        : #ffffff - Radial fill drawn over the ring
+ *   Resting on a valid spot teleports there; resting on a go-to waypoint
+ *   clicks it. Look away from the spot to dwell again. Use it instead of the
+ *   a-cursor fuse, not together with it.
+ *
+ * ARC TELEPORT (VR):
+ *   teleportMode      : ray    - "ray" (straight ray) or "arc" (parabola from the hand)
+ *   arcSource         :        - Selector of the controllers/hands used to aim
+ *                                (default: every laser-controls, hand or controller)
+ *   arcVelocity       : 8      - Launch speed of the arc (m/s)
+ *   arcGravity        : 9.8    - Downward pull of the arc (m/s²)
+ *   arcSegments       : 30     - Line segments used to draw and test the arc
+ *   arcMaxDrop        : 10     - How far below the hand the arc may land (m)
+ *
+ * LANDING ORIENTATION:
+ *   landingOrientation: false  - Choose which way you face after teleporting:
+ *                                hold the click/trigger on the target and drag
+ *                                (or point) the way you want to face, or turn
+ *                                the thumbstick while holding the trigger.
+ *                                An arrow on the ring shows it.
+ *
+ * TURNING (VR thumbstick, pivots around the head):
+ *   turnMode          : off    - "snap", "smooth" or "off" (scenes that map
+ *                                the thumbstick themselves keep it off)
+ *   turnHand          : right  - Controller whose thumbstick turns: "left", "right", "any"
+ *   snapAngle         : 30     - Degrees per snap turn
+ *   smoothTurnSpeed   : 90     - Degrees per second at full stick
+ *   Smooth turning closes the tunnel vignette while turning, snap turns
+ *   flash it briefly.
+ *
+ * CONTINUOUS MOVEMENT (thumbstick and WASD/arrow keys, kept on the navmeshes):
+ *   continuousMove    : false  - Walk freely as well as teleporting
+ *   moveSpeed         : 1.5    - Walking speed (m/s)
+ *   moveHand          : left   - Controller whose thumbstick moves: "left", "right",
+ *                                "any" (that stick no longer turns)
+ *   moveRelativeTo    : head   - Forward is where the "head" looks or the "hand" points
+ *   Steps up to maxStepHeight and slopes are followed, walls and navmesh
+ *   edges are slid along. Off the navmeshes (e.g. at the spawn point) you
+ *   walk freely until you step onto one. Closes the tunnel vignette like
+ *   smooth turning and turns off wasd-controls on the camera. Emits
+ *   locomotion-start and locomotion-end.
+ *
+ * WALK-TO PATHFINDING:
+ *   pathfinding       : false  - Walk around walls along a navmesh path instead of
+ *                                moving in a straight line; unreachable targets are refused
+ *   walkSpeed         : 2      - Walking speed along the path (m/s)
+ *   navCellSize       : 0.5    - Grid spacing used to sample the navmeshes (m)
+ *   maxStepHeight     : 0.35   - Highest step between neighbouring cells (m)
+ *   The navmesh graph is built a few milliseconds per frame; after navmesh
+ *   changes the old graph is used until the new one is ready.
+ *   Emits "navigation-rejected" with detail { reason: "no-path" } when refused.
+ *
+ * TRANSITION STYLE (desktop and VR):
+ *   transitionStyle   : glide  - "glide" (smooth move), "blink" (fade out, jump,
+ *                                fade in), "instant" or "dash" (quick glide with
+ *                                motion streaks)
+ *   blinkDuration     : 300    - Total blink time in ms (half out, half in)
+ *   blinkColor        : #000000 - Color faded to during a blink
+ *   dashDuration      : 200    - Dash time in ms
+ *   dashColor         : #ffffff - Motion streak color
+ *   The legacy #tunnel entity is still animated for glide, but not needed.
+ *
  * TUNNEL VIGNETTE (motion sickness reduction):
  *   tunnelEnabled     : true   - Enable/disable vignette effect
  *   tunnelRadius      : 0.4    - Inner clear vision radius (0-1)
@@ -45,6 +154,81 @@
  *   rotation : vec3   - Target rotation (degrees)
  *   duration : 2000   - Animation duration (ms)
  *   easing   : easeInOutQuad
+ *   Activated by a click, or by dwelling on it when a-cursor-teleport has
+ *   the "dwell" input.
+ *   path     : ""     - Fly along a Catmull-Rom curve instead of straight:
+ *                       points separated by "|" ("x y z" or "#entity"), or one
+ *                       "#entity" whose children are the points (or that has
+ *                       an aframe-curve-component curve). Starts where you are;
+ *                       a curve entity is joined in a straight line from there.
+ *   segmentDurations : "" - Ms to reach each path point from the previous one
+ *                       (the first from where you are), separated by "|";
+ *                       default: duration, shared by segment length
+ *   lookAt   : ""     - "path" to face along the curve, "#entity" or "x y z"
+ *                       to keep facing it; default: turn to rotation
+ *   In VR only the rig moves along the path (no turning), keeping your head
+ *   where it is inside the rig.
+ *
+ * SETTINGS (save-position-and-rotation):
+ *   restoreLast : false - Go back to where you were when the page reloads
+ *   menu        : true  - In-scene bookmark menu, opened with menuKey or the
+ *                         B/Y controller button
+ *   menuKey     : b
+ *   duration, easing    - Jump animation, as in go-to
+ *   The pose is remembered every 5 s; bookmarks are kept per scene URL.
+ *   A position saved by older versions (one for all scenes) becomes the
+ *   last pose and a "Saved position" bookmark of the next scene opened.
+ *   JS API (el.components["save-position-and-rotation"]):
+ *     saveBookmark(name?), listBookmarks(), jumpTo(name?), deleteBookmark(name),
+ *     toggleMenu(). Emits bookmark-saved, bookmark-jump, bookmark-deleted.
+ *
+ * SETTINGS (tour):
+ *   stops     : ""    - Stops separated by "|": a go-to entity ("#painting")
+ *                       or a pose "x y z" / "x y z rx ry rz"
+ *   dwell     : 5000  - Ms to stay at a stop when playing; one value, or one
+ *                       per stop separated by "|"
+ *   narration : ""    - Audio per stop separated by "|" (selector of an
+ *                       <audio> element or a URL; leave a stop empty to skip)
+ *   autoplay  : false - Start playing when the scene loads
+ *   loop      : false - Start again after the last stop
+ *   duration, easing  - Movement between stops, as in go-to
+ *   Next/previous: PageDown/PageUp (presentation clickers), A/X controller
+ *   button for next. Moving yourself (teleport, walking, keys, thumbstick)
+ *   pauses it.
+ *   JS API (el.components.tour): play(), pause(), next(), previous(),
+ *     goTo(index). Emits tour-start, tour-arrive and tour-leave
+ *     ({ index, el }), tour-pause and tour-end on the tour entity;
+ *     tour-arrive and tour-leave are also emitted on go-to stops.
+ *
+ * SETTINGS (multi-user, on a-scene; needs watch-files.js or pose-relay.js):
+ *   relay     : /__relay - Relay URL; e.g. http://192.168.1.20:8090/__relay
+ *                          for a separate "node pose-relay.js"
+ *   room      : ""    - Who you see; default: the scene's URL path
+ *   name      : ""    - Shown above your avatar; default: "Guest xxxx"
+ *   color     : ""    - Avatar color; default: picked from your id
+ *   rate      : 10    - Pose updates sent per second
+ *   gatherKey : g     - Bring everyone in the room in front of you
+ *   acceptGather : true - Follow when someone else gathers
+ *   duration, easing  - Gather movement, as in go-to
+ *   Others are shown as a head, their hands in VR and their name.
+ *   JS API (el.components["multi-user"]): gather(), peers (Map of id ->
+ *     { name, color }). Emits peer-join and peer-leave ({ id, name }), and
+ *     gathered ({ id, name }) when someone brings you to them.
+ *
+ * SETTINGS (navigation-telemetry, on a-scene):
+ *   enabled        : true  - Record; pause by setting it to false
+ *   sampleInterval : 500   - Ms between position samples (0: only events)
+ *   maxEntries     : 20000 - Oldest entries are dropped beyond this
+ *   heatmapCell    : 0.5   - Heatmap cell size (m)
+ *   Records navigation-start/-end, navigation-rejected, locomotion-start/-end,
+ *   go-to-start/-complete (go-to, tour, bookmarks, gather) and region-enter/
+ *   -leave with the time, input source and floor point, plus a position
+ *   sample every sampleInterval. Kept in memory only.
+ *   JS API (el.components["navigation-telemetry"]): entries, clear(),
+ *     toJSON(), toCSV(), download("json" | "csv").
+ *   With ?debug=true the visits are drawn as a floor heatmap with the trail
+ *   walked; TeleportDiagnostic.overlay(false) hides them and
+ *   TeleportDiagnostic.download("csv") saves the recording.
  *
  * DEBUG: Add ?debug=true to URL
  */
@@ -69,7 +253,156 @@
     INDICATOR_LERP_FACTOR: 0.3,
     CURSOR_RETRY_DELAY: 200,
     SAVE_INTERVAL: 5000,
+    // Bookmarks
+    BOOKMARK_STORAGE_PREFIX: "bookmarks:", // + scene path
+    BOOKMARK_LEGACY_POSITION_KEY: "cameraPosition", // Older versions, all scenes
+    BOOKMARK_LEGACY_ROTATION_KEY: "cameraRotation",
+    BOOKMARK_LEGACY_NAME: "Saved position",
+    BOOKMARK_MENU_KEY: "b",
+    BOOKMARK_MENU_BUTTONS: ["bbuttondown", "ybuttondown"],
+    BOOKMARK_MENU_ROWS: 6,
+    BOOKMARK_MENU_DISTANCE: 1.2,
+    BOOKMARK_ROW_HEIGHT: 0.12,
+    // Tour
+    TOUR_DWELL: 5000,
+    // Key lists are lower case, like MOVE_KEYS (Shift and Caps Lock ignored)
+    TOUR_NEXT_KEYS: ["pagedown"],
+    TOUR_PREVIOUS_KEYS: ["pageup"],
+    TOUR_NEXT_BUTTONS: ["abuttondown", "xbuttondown"],
+    TOUR_MANUAL_KEYS: [
+      "w",
+      "a",
+      "s",
+      "d",
+      "arrowup",
+      "arrowdown",
+      "arrowleft",
+      "arrowright",
+    ],
+    TOUR_STICK_THRESHOLD: 0.5, // Thumbstick push that counts as moving yourself
     GO_TO_DURATION: 2000,
+    PATH_TURN_IN: 0.15, // Share of a path spent turning to face lookAt
+    PATH_DIVISIONS: 50, // Arc length samples per path segment
+    // Multi-user
+    RELAY_PATH: "/__relay", // Served by watch-files.js
+    SHARE_RATE: 10,
+    GATHER_KEY: "g",
+    GATHER_RADIUS: 1.5, // Distance in front of the one gathering
+    GATHER_SPACING: 35, // Degrees between the others on that arc
+    AVATAR_LERP_FACTOR: 0.3,
+    AVATAR_HEAD_RADIUS: 0.12,
+    AVATAR_HAND_SIZE: 0.08,
+    AVATAR_NAME_HEIGHT: 0.3, // Name label above the head
+    // Telemetry
+    TELEMETRY_EVENTS: [
+      "navigation-start",
+      "navigation-end",
+      "navigation-rejected",
+      "locomotion-start",
+      "locomotion-end",
+      "go-to-start",
+      "go-to-complete",
+      "region-enter",
+      "region-leave",
+    ],
+    TELEMETRY_SAMPLE_INTERVAL: 500,
+    TELEMETRY_MAX_ENTRIES: 20000,
+    TELEMETRY_CSV_COLUMNS: [
+      "time",
+      "type",
+      "source",
+      "x",
+      "y",
+      "z",
+      "yaw",
+      "detail",
+      "duration",
+    ],
+    HEATMAP_CELL: 0.5,
+    HEATMAP_TYPES: ["sample", "navigation-end", "go-to-complete"], // Entries that count as visits
+    HEATMAP_Y_OFFSET: 0.03, // Above the floor, below the teleport indicator
+    HEATMAP_OPACITY: 0.6,
+    TRAIL_COLOR: "#ffff00",
+    OVERLAY_UPDATE_INTERVAL: 500,
+    // Landing checks
+    PLAYER_HEIGHT: 1.7,
+    PLAYER_RADIUS: 0.2,
+    REJECT_COLOR: "#ff4040",
+    CLEARANCE_RAYS: 8, // Horizontal directions tested around the capsule
+    CLEARANCE_RECHECK_DISTANCE: 0.05, // Reuse the last result within this range
+    FLOOR_NORMAL_MIN_Y: 0.7, // Surfaces flatter than ~45° are floor, not wall
+    LABEL_HEIGHT: 0.45, // Reason label above the indicator
+    REJECT_MESSAGES: {
+      "too-steep": "Too steep",
+      "no-headroom": "Not enough headroom",
+      "too-narrow": "Too narrow",
+      "no-path": "No path",
+      "no-go": "Off limits",
+    },
+    // Regions, anchors and no-go volumes
+    REGION_CHECK_INTERVAL: 250, // ms between checks of the floor's region
+    ANCHOR_RADIUS: 0.75,
+    NO_GO_COLOR: "#ff4040", // Debug wireframe
+    // Arc teleport (VR)
+    ARC_VELOCITY: 8,
+    ARC_GRAVITY: 9.8,
+    ARC_SEGMENTS: 30,
+    ARC_MAX_DROP: 10,
+    ARC_INVALID_OPACITY: 0.25, // Arc opacity when it does not land on a navmesh
+    // Input sources
+    INPUTS: ["mouse", "gaze", "trigger", "pinch"],
+    HAND_SOURCE_SELECTOR:
+      "[laser-controls], [hand-tracking-controls], [hand-tracking-grab-controls], [oculus-touch-controls], [meta-touch-controls], [hand-controls], [tracked-controls], [pinch-teleport-02]",
+    INPUT_EVENTS: {
+      trigger: ["triggerdown", "triggerup"],
+      pinch: ["pinchstarted", "pinchended"],
+    },
+    // Dwell
+    DWELL_TIME: 1500,
+    DWELL_TOLERANCE: 0.3,
+    DWELL_COLOR: "#ffffff",
+    DWELL_SEGMENTS: 48,
+    // Landing orientation
+    ORIENT_MIN_DRAG: 0.3, // Metres the pointer must move away from the target
+    ORIENT_STICK_DEADZONE: 0.5,
+    ARROW_LENGTH: 0.2,
+    ARROW_WIDTH: 0.15,
+    // Transition styles
+    BLINK_DURATION: 300,
+    BLINK_COLOR: "#000000",
+    DASH_DURATION: 200,
+    DASH_COLOR: "#ffffff",
+    DASH_STREAKS: 48,
+    DASH_STREAK_OPACITY: 0.6,
+    CAMERA_OVERLAY_DISTANCE: 0.15, // Same distance as the vignette
+    // Turning
+    SNAP_ANGLE: 30,
+    SMOOTH_TURN_SPEED: 90,
+    TURN_STICK_THRESHOLD: 0.7, // Stick deflection that triggers a snap turn
+    TURN_STICK_RESET: 0.3, // Stick must return below this before the next snap
+    TURN_STICK_DEADZONE: 0.15, // Smooth turning ignores smaller deflections
+    // Continuous movement
+    MOVE_SPEED: 1.5,
+    MOVE_STICK_DEADZONE: 0.15,
+    MOVE_SLIDE_ANGLES: [20, 40, 60, 80], // Tried on both sides when blocked
+    MOVE_KEYS: {
+      w: [0, -1],
+      arrowup: [0, -1],
+      s: [0, 1],
+      arrowdown: [0, 1],
+      a: [-1, 0],
+      arrowleft: [-1, 0],
+      d: [1, 0],
+      arrowright: [1, 0],
+    },
+    // Walk-to pathfinding
+    WALK_SPEED: 2,
+    NAV_CELL_SIZE: 0.5,
+    MAX_STEP_HEIGHT: 0.35,
+    NAV_MAX_CELLS: 40000, // Cell size grows for very large navmeshes
+    NAV_OBSTACLE_HEIGHT: 0.5, // Height of the wall check above the floor
+    NAV_SNAP_RADIUS: 2, // Cells searched for the node nearest to a point
+    NAV_BUILD_BUDGET: 4, // Milliseconds per frame spent building the graph
     // Tunnel vignette settings for motion sickness reduction
     TUNNEL_ENABLED: true,
     TUNNEL_RADIUS: 0.15, // Inner radius of clear vision (0-1)
@@ -92,7 +425,7 @@
 
   const easeInOutQuad = (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t);
 
-  // Factory for navmesh/raycast-exclude style components
+  // Factory for raycast-exclude style marker components
   const createMeshMarkerComponent = (userDataKey, userDataValue = true) => ({
     init() {
       this._markMeshes = () => {
@@ -108,23 +441,346 @@
     },
   });
 
+  // ============================================================================
+  // NAVMESH PATHFINDING
+  // ============================================================================
+  // Samples the navmeshes on a grid (several floors per cell are allowed) and
+  // runs A* between the cells. Wall checks between cells are done lazily and
+  // cached, so only the explored part of the grid costs raycasts. Cells
+  // where options.isExcluded(point) holds are left out.
+  // The sampling is spread over frames: builder.step(deadline) samples grid
+  // cells until performance.now() passes the deadline and returns true
+  // once builder.graph is ready (null when there is nothing to walk on).
+  const createNavGraphBuilder = (navmeshes, obstacles, options) => {
+    const { maxStepHeight } = options;
+    const bounds = new THREE.Box3();
+    navmeshes.forEach((mesh) => bounds.expandByObject(mesh));
+    if (bounds.isEmpty()) return { graph: null, step: () => true };
+
+    const size = bounds.getSize(new THREE.Vector3());
+    const cellSize = Math.max(
+      options.cellSize,
+      Math.sqrt((size.x * size.z) / DEFAULTS.NAV_MAX_CELLS)
+    );
+    const columns = Math.ceil(size.x / cellSize) + 1;
+    const rows = Math.ceil(size.z / cellSize) + 1;
+
+    const raycaster = new THREE.Raycaster();
+    const down = new THREE.Vector3(0, -1, 0);
+    const origin = new THREE.Vector3();
+    const direction = new THREE.Vector3();
+    const cells = new Map();
+    const nodes = [];
+
+    const sampleCell = (ix, iz) => {
+      origin.set(
+        bounds.min.x + ix * cellSize,
+        bounds.max.y + 1,
+        bounds.min.z + iz * cellSize
+      );
+      raycaster.set(origin, down);
+      const levels = [];
+      raycaster.intersectObjects(navmeshes, false).forEach((hit) => {
+        // Double-sided and overlapping meshes report the same floor twice
+        if (levels.some((node) => Math.abs(node.y - hit.point.y) < 0.05)) {
+          return;
+        }
+        if (options.isExcluded?.(hit.point)) return;
+        const node = { id: nodes.length, ix, iz, y: hit.point.y };
+        node.position = hit.point.clone();
+        nodes.push(node);
+        levels.push(node);
+      });
+      if (levels.length) cells.set(`${ix},${iz}`, levels);
+    };
+
+    const cellOf = (point) => [
+      Math.round((point.x - bounds.min.x) / cellSize),
+      Math.round((point.z - bounds.min.z) / cellSize),
+    ];
+
+    // Free of walls at knee height between two floor points
+    const isClear = (a, b) => {
+      if (!obstacles.length) return true;
+      origin.copy(a);
+      origin.y += DEFAULTS.NAV_OBSTACLE_HEIGHT;
+      direction.copy(b);
+      direction.y += DEFAULTS.NAV_OBSTACLE_HEIGHT;
+      direction.sub(origin);
+      const length = direction.length();
+      if (length < 0.0001) return true;
+      raycaster.set(origin, direction.divideScalar(length));
+      raycaster.far = length;
+      const blocked = raycaster.intersectObjects(obstacles, false).length > 0;
+      raycaster.far = Infinity;
+      return !blocked;
+    };
+
+    const edgeCache = new Map();
+    const neighbours = (node) => {
+      if (edgeCache.has(node.id)) return edgeCache.get(node.id);
+      const result = [];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          if (!dx && !dz) continue;
+          const levels = cells.get(`${node.ix + dx},${node.iz + dz}`);
+          levels?.forEach((other) => {
+            if (Math.abs(other.y - node.y) > maxStepHeight) return;
+            if (!isClear(node.position, other.position)) return;
+            result.push(other);
+          });
+        }
+      }
+      edgeCache.set(node.id, result);
+      return result;
+    };
+
+    const nearestNode = (point) => {
+      const [cx, cz] = cellOf(point);
+      const radius = DEFAULTS.NAV_SNAP_RADIUS;
+      let best = null;
+      let bestDistance = Infinity;
+      for (let dx = -radius; dx <= radius; dx++) {
+        for (let dz = -radius; dz <= radius; dz++) {
+          cells.get(`${cx + dx},${cz + dz}`)?.forEach((node) => {
+            const distance = node.position.distanceToSquared(point);
+            if (distance < bestDistance) {
+              best = node;
+              bestDistance = distance;
+            }
+          });
+        }
+      }
+      return best;
+    };
+
+    // Every sample along the segment must lie on a floor close to its height
+    const isWalkable = (a, b) => {
+      const steps = Math.ceil(a.distanceTo(b) / (cellSize / 2));
+      for (let i = 1; i < steps; i++) {
+        const t = i / steps;
+        origin.lerpVectors(a, b, t);
+        const levels = cells.get(cellOf(origin).join(","));
+        const onFloor = levels?.some(
+          (node) => Math.abs(node.y - origin.y) <= maxStepHeight
+        );
+        if (!onFloor) return false;
+      }
+      return isClear(a, b);
+    };
+
+    const search = (start, goal) => {
+      const cost = new Map([[start.id, 0]]);
+      const cameFrom = new Map();
+      const open = [start];
+      const score = new Map([
+        [start.id, start.position.distanceTo(goal.position)],
+      ]);
+      const closed = new Set();
+
+      while (open.length) {
+        // The open list stays small on a 2D grid, a linear scan is enough
+        let bestIndex = 0;
+        for (let i = 1; i < open.length; i++) {
+          if (score.get(open[i].id) < score.get(open[bestIndex].id)) {
+            bestIndex = i;
+          }
+        }
+        const current = open.splice(bestIndex, 1)[0];
+        if (current === goal) {
+          const path = [current];
+          while (cameFrom.has(path[0].id)) {
+            path.unshift(cameFrom.get(path[0].id));
+          }
+          return path;
+        }
+        closed.add(current.id);
+
+        neighbours(current).forEach((next) => {
+          if (closed.has(next.id)) return;
+          const nextCost =
+            cost.get(current.id) + current.position.distanceTo(next.position);
+          if (nextCost >= (cost.get(next.id) ?? Infinity)) return;
+          if (!cost.has(next.id)) open.push(next);
+          cameFrom.set(next.id, current);
+          cost.set(next.id, nextCost);
+          score.set(
+            next.id,
+            nextCost + next.position.distanceTo(goal.position)
+          );
+        });
+      }
+      return null;
+    };
+
+    // Returns floor points from `from` to `to`, or null if unreachable
+    const findPath = (from, to) => {
+      const start = nearestNode(from);
+      const goal = nearestNode(to);
+      if (!start || !goal) return null;
+
+      const route = search(start, goal);
+      if (!route) return null;
+
+      const points = [from.clone()];
+      route.forEach((node) => points.push(node.position.clone()));
+      points.push(to.clone());
+
+      // String pulling: skip corners whenever the shortcut stays walkable
+      const smoothed = [points[0]];
+      let anchor = 0;
+      while (anchor < points.length - 1) {
+        let next = points.length - 1;
+        while (next > anchor + 1 && !isWalkable(points[anchor], points[next])) {
+          next--;
+        }
+        smoothed.push(points[next]);
+        anchor = next;
+      }
+      return smoothed;
+    };
+
+    let nextCell = 0;
+    const builder = {
+      graph: null,
+      step(deadline = Infinity) {
+        while (nextCell < columns * rows) {
+          sampleCell(Math.floor(nextCell / rows), nextCell % rows);
+          nextCell++;
+          if (performance.now() >= deadline) break;
+        }
+        if (nextCell < columns * rows) return false;
+        builder.graph = nodes.length
+          ? { cellSize, nodeCount: nodes.length, findPath }
+          : null;
+        return true;
+      },
+    };
+    return builder;
+  };
+
   // ============================================================================
   // NAVMESH COMPONENT
   // ============================================================================
+  // Emits "navmesh-changed" whenever a-cursor-teleport has to refresh its
+  // caches without the DOM changing
   AFRAME.registerComponent("navmesh", {
-    ...createMeshMarkerComponent("isNavmesh"),
+    schema: {
+      enabled: { type: "boolean", default: true },
+      enableOn: { type: "string", default: "" },
+      disableOn: { type: "string", default: "" },
+      eventSource: { type: "selector" },
+      region: { type: "string", default: "" },
+    },
+
     init() {
       this._markMeshes = () => {
+        const { enabled, region } = this.data;
         this.el.object3D.traverse((obj) => {
           if (obj.isMesh) {
-            obj.userData.isNavmesh = true;
+            obj.userData.isNavmesh = enabled;
+            obj.userData.navRegion = region || null;
             obj.userData.collision = true;
           }
         });
       };
-      this._markMeshes();
+      this._enable = () => this.el.setAttribute("navmesh", "enabled", true);
+      this._disable = () => this.el.setAttribute("navmesh", "enabled", false);
       this.el.addEventListener("model-loaded", this._markMeshes);
     },
+
+    update(oldData) {
+      this._markMeshes();
+
+      this._unbindToggleEvents();
+      const { enableOn, disableOn } = this.data;
+      const source = this.data.eventSource || this.el;
+      if (enableOn) source.addEventListener(enableOn, this._enable);
+      if (disableOn) source.addEventListener(disableOn, this._disable);
+      this._toggleEvents = { source, enableOn, disableOn };
+
+      if (oldData.enabled !== undefined) this.el.emit("navmesh-changed");
+    },
+
+    _unbindToggleEvents() {
+      if (!this._toggleEvents) return;
+      const { source, enableOn, disableOn } = this._toggleEvents;
+      if (enableOn) source.removeEventListener(enableOn, this._enable);
+      if (disableOn) source.removeEventListener(disableOn, this._disable);
+      this._toggleEvents = null;
+    },
+
+    remove() {
+      this._unbindToggleEvents();
+      this.el.removeEventListener("model-loaded", this._markMeshes);
+      this.el.object3D.traverse((obj) => {
+        if (obj.isMesh) {
+          obj.userData.isNavmesh = false;
+          obj.userData.navRegion = null;
+        }
+      });
+      this.el.emit("navmesh-changed");
+    },
+  });
+
+  // ============================================================================
+  // TELEPORT-ANCHOR COMPONENT
+  // ============================================================================
+  // Read by a-cursor-teleport when it refreshes its navmesh cache
+  AFRAME.registerComponent("teleport-anchor", {
+    schema: {
+      radius: { type: "number", default: DEFAULTS.ANCHOR_RADIUS },
+      face: { type: "boolean", default: true },
+    },
+
+    update(oldData) {
+      if (Object.keys(oldData).length) this.el.emit("navmesh-changed");
+    },
+
+    remove() {
+      this.el.emit("navmesh-changed");
+    },
+  });
+
+  // ============================================================================
+  // NO-GO-VOLUME COMPONENT
+  // ============================================================================
+  AFRAME.registerComponent("no-go-volume", {
+    schema: {
+      size: { type: "vec3", default: { x: 1, y: 1, z: 1 } },
+    },
+
+    init() {
+      this.box = new THREE.Box3();
+      this.helper = null;
+    },
+
+    update(oldData) {
+      const { x, y, z } = this.data.size;
+      this.box.min.set(-x / 2, -y / 2, -z / 2);
+      this.box.max.set(x / 2, y / 2, z / 2);
+
+      if (isDebug() && !this.helper) {
+        this.helper = new THREE.Box3Helper(this.box, DEFAULTS.NO_GO_COLOR);
+        this.el.object3D.add(this.helper);
+      }
+      if (oldData.size) this.el.emit("navmesh-changed");
+    },
+
+    // Whether a world-space point lies inside the box
+    containsPoint(point) {
+      const local = this.el.object3D.worldToLocal(point.clone());
+      return this.box.containsPoint(local);
+    },
+
+    remove() {
+      if (this.helper) {
+        this.el.object3D.remove(this.helper);
+        this.helper.geometry.dispose();
+        this.helper.material.dispose();
+      }
+      this.el.emit("navmesh-changed");
+    },
   });
 
   // ============================================================================
@@ -148,6 +804,65 @@
       dragThreshold: { type: "number", default: DEFAULTS.DRAG_THRESHOLD },
       alignToSurface: { type: "boolean", default: true },
       rotationSmoothing: { type: "number", default: 1.0 },
+      // Landing checks
+      validateLanding: { type: "boolean", default: true },
+      playerHeight: { type: "number", default: DEFAULTS.PLAYER_HEIGHT },
+      playerRadius: { type: "number", default: DEFAULTS.PLAYER_RADIUS },
+      rejectColor: { type: "color", default: DEFAULTS.REJECT_COLOR },
+      // Input sources
+      inputs: { type: "array", default: DEFAULTS.INPUTS },
+      dwellTime: { type: "number", default: DEFAULTS.DWELL_TIME },
+      dwellTolerance: { type: "number", default: DEFAULTS.DWELL_TOLERANCE },
+      dwellColor: { type: "color", default: DEFAULTS.DWELL_COLOR },
+      // Arc teleport (VR)
+      teleportMode: { type: "string", default: "ray", oneOf: ["ray", "arc"] },
+      arcSource: { type: "string", default: "" },
+      arcVelocity: { type: "number", default: DEFAULTS.ARC_VELOCITY },
+      arcGravity: { type: "number", default: DEFAULTS.ARC_GRAVITY },
+      arcSegments: { type: "int", default: DEFAULTS.ARC_SEGMENTS },
+      arcMaxDrop: { type: "number", default: DEFAULTS.ARC_MAX_DROP },
+      landingOrientation: { type: "boolean", default: false },
+      // Transition styles
+      transitionStyle: {
+        type: "string",
+        default: "glide",
+        oneOf: ["glide", "blink", "instant", "dash"],
+      },
+      blinkDuration: { type: "number", default: DEFAULTS.BLINK_DURATION },
+      blinkColor: { type: "color", default: DEFAULTS.BLINK_COLOR },
+      dashDuration: { type: "number", default: DEFAULTS.DASH_DURATION },
+      dashColor: { type: "color", default: DEFAULTS.DASH_COLOR },
+      // Turning (VR)
+      turnMode: {
+        type: "string",
+        default: "off",
+        oneOf: ["snap", "smooth", "off"],
+      },
+      turnHand: {
+        type: "string",
+        default: "right",
+        oneOf: ["left", "right", "any"],
+      },
+      snapAngle: { type: "number", default: DEFAULTS.SNAP_ANGLE },
+      smoothTurnSpeed: { type: "number", default: DEFAULTS.SMOOTH_TURN_SPEED },
+      // Continuous movement
+      continuousMove: { type: "boolean", default: false },
+      moveSpeed: { type: "number", default: DEFAULTS.MOVE_SPEED },
+      moveHand: {
+        type: "string",
+        default: "left",
+        oneOf: ["left", "right", "any"],
+      },
+      moveRelativeTo: {
+        type: "string",
+        default: "head",
+        oneOf: ["head", "hand"],
+      },
+      // Walk-to pathfinding
+      pathfinding: { type: "boolean", default: false },
+      walkSpeed: { type: "number", default: DEFAULTS.WALK_SPEED },
+      navCellSize: { type: "number", default: DEFAULTS.NAV_CELL_SIZE },
+      maxStepHeight: { type: "number", default: DEFAULTS.MAX_STEP_HEIGHT },
       // Tunnel vignette for motion sickness reduction
       tunnelEnabled: { type: "boolean", default: DEFAULTS.TUNNEL_ENABLED },
       tunnelRadius: { type: "number", default: DEFAULTS.TUNNEL_RADIUS },
@@ -168,6 +883,21 @@
       this.transitionProgress = 0;
       this.isDragging = false;
       this.aligningRotation = false;
+      this.orienting = null; // { point, normal } locked while choosing the yaw
+      this.landingYaw = null; // Chosen yaw for the next teleport
+      this.dwell = null; // { point, el, elapsed } while the cursor rests
+      this._dwellLock = null; // { el, direction, angle } of the last dwell
+      this._arrivalYaw = null; // Yaw applied when the current move finishes
+      this.turnInput = 0; // Thumbstick x of the turning hand
+      this._snapLatched = false; // Waiting for the stick to recentre
+      this.moveInput = { x: 0, y: 0 }; // Thumbstick of the moving hand
+      this._moveStickEl = null; // Controller giving moveInput
+      this._moveKeys = new Set(); // Held keys from MOVE_KEYS
+      this.moving = false; // Walking with continuous movement
+      this.region = null; // Region of the navmesh under the player
+      this._regionEl = null;
+      this._regionCheckTime = -Infinity;
+      this._motionVignette = false; // Vignette closed for turning or walking
 
       // References
       this.cameraEl = this.el;
@@ -176,6 +906,11 @@
       this.cursorEl = null;
       this.cursorRaycaster = null;
       this.tunnelEl = null;
+      this.activeSourceEl = null; // Controller or hand aiming in VR
+      this.inputSource = null; // Input that started the current move
+      this._pressedSource = null;
+      this._handSources = new Map(); // element -> [[event, listener]]
+      this._handSourcesDirty = true;
 
       // Tunnel vignette state
       this.vignette = null;
@@ -185,7 +920,18 @@
 
       // Cached navmesh objects for faster raycasting
       this._navmeshCache = [];
+      this._blockingCache = []; // Same meshes minus the ones the rig carries
+      this._anchors = []; // [teleport-anchor] entities
+      this._noGoVolumes = []; // [no-go-volume] entities
       this._navmeshCacheDirty = true;
+      this._clearanceCheck = null; // { point, reason } of the last landing check
+
+      // Walk-to pathfinding (graph is built a few cells per frame and the
+      // old one keeps serving until its replacement is ready)
+      this._navGraph = null;
+      this._navBuild = null;
+      this._navGraphStale = true;
+      this._path = null;
 
       // Pre-allocated THREE.js objects (reused to avoid GC)
       this._vec3 = {
@@ -193,20 +939,53 @@
         end: new THREE.Vector3(),
         up: new THREE.Vector3(0, 1, 0),
         temp: new THREE.Vector3(),
+        probe: new THREE.Vector3(), // Anchor and no-go tests
+        clearance: new THREE.Vector3(), // Clearance ray direction
+        hitNormal: new THREE.Vector3(),
         currentNormal: new THREE.Vector3(0, 1, 0),
         targetNormal: new THREE.Vector3(0, 1, 0),
+        headLocal: new THREE.Vector3(), // Head in rig space during a tilt
+        headOffset: new THREE.Vector3(), // Head from rig before the tilt
+        pivot: new THREE.Vector3(),
       };
       this._quat = {
         start: new THREE.Quaternion(),
         end: new THREE.Quaternion(),
+        tilt: new THREE.Quaternion(), // Surface tilt without the rig's yaw
         temp: new THREE.Quaternion(),
       };
       this._mat3 = new THREE.Matrix3();
+      this._arcRaycaster = new THREE.Raycaster();
+      this._clearanceRaycaster = new THREE.Raycaster();
+      this._euler = new THREE.Euler(0, 0, 0, "YXZ");
+      this._move = {
+        raycaster: new THREE.Raycaster(),
+        origin: new THREE.Vector3(),
+        direction: new THREE.Vector3(),
+        down: new THREE.Vector3(0, -1, 0),
+        head: new THREE.Vector3(),
+        step: new THREE.Vector3(),
+        probe: new THREE.Vector3(),
+      };
+      this._orientPlane = new THREE.Plane();
+      this._orientRay = new THREE.Ray();
+      this._arc = {
+        origin: new THREE.Vector3(),
+        velocity: new THREE.Vector3(),
+        quat: new THREE.Quaternion(),
+        point: new THREE.Vector3(),
+        next: new THREE.Vector3(),
+        direction: new THREE.Vector3(),
+      };
 
       this._setupCameraRig();
       this._createIndicator();
+      this._createRejectLabel();
+      this._createArc();
       this._createVignette();
+      this._createTransitionEffects();
       this._setupVRListeners();
+      this._setupMoveKeys();
       this._setupNavmeshObserver();
 
       if (this.el.sceneEl.hasLoaded) {
@@ -226,17 +1005,30 @@
 
     _setupNavmeshObserver() {
       // Invalidate cache when DOM changes
-      this._observer = new MutationObserver(() => {
+      this._onSceneChanged = () => {
         this._navmeshCacheDirty = true;
-      });
+        this._handSourcesDirty = true;
+        this._navGraphStale = true;
+      };
+      this._observer = new MutationObserver(this._onSceneChanged);
       this._observer.observe(this.el.sceneEl, {
         childList: true,
         subtree: true,
       });
+      // Models add their meshes without touching the DOM, navmeshes can be
+      // switched off and anchors or volumes changed by attribute
+      this.el.sceneEl.addEventListener("model-loaded", this._onSceneChanged);
+      this.el.sceneEl.addEventListener("navmesh-changed", this._onSceneChanged);
     },
 
     _updateNavmeshCache() {
       if (!this._navmeshCacheDirty) return;
+      // A door opened or a navmesh switched: check the spot again
+      this._clearanceCheck = null;
+
+      this.el.sceneEl
+        .querySelectorAll("[pinch-teleport-02]")
+        .forEach((el) => el.components["pinch-teleport-02"]?.tagTargets());
 
       this._navmeshCache.length = 0;
       this.el.sceneEl.object3D.traverse((obj) => {
@@ -244,9 +1036,111 @@
           this._navmeshCache.push(obj);
         }
       });
+
+      // Anything carried by the rig (cursor, hands, controllers) is not a wall
+      const rigObject = this.rigEl?.object3D;
+      const isCarried = (obj) => {
+        for (let node = obj; node; node = node.parent) {
+          if (node === rigObject) return true;
+        }
+        return false;
+      };
+      this._blockingCache = this._navmeshCache.filter((obj) => !isCarried(obj));
+      const sceneEl = this.el.sceneEl;
+      this._anchors = Array.from(sceneEl.querySelectorAll("[teleport-anchor]"));
+      this._noGoVolumes = Array.from(
+        sceneEl.querySelectorAll("[no-go-volume]")
+      );
+      this._clearanceCheck = null;
       this._navmeshCacheDirty = false;
     },
 
+    // Starts (or restarts) the graph build after a change and samples part
+    // of the grid each frame, so a large navmesh does not stall the frame
+    _updateNavGraph() {
+      if (!this.data.pathfinding) return;
+      if (this._navGraphStale) this._startNavGraphBuild();
+      if (!this._navBuild) return;
+      if (this._navBuild.step(performance.now() + DEFAULTS.NAV_BUILD_BUDGET)) {
+        this._finishNavGraphBuild();
+      }
+    },
+
+    // Returns the current graph, even one that is being rebuilt. Only
+    // before the first graph exists is the build finished right away.
+    _getNavGraph() {
+      if (this._navGraph) return this._navGraph;
+      if (this._navGraphStale || !this._navBuild) this._startNavGraphBuild();
+      this._navBuild.step();
+      this._finishNavGraphBuild();
+      return this._navGraph;
+    },
+
+    _startNavGraphBuild() {
+      this._updateNavmeshCache();
+      this._navGraphStale = false;
+
+      const navmeshes = this._navmeshCache.filter(
+        (obj) => obj.userData.isNavmesh
+      );
+      const obstacles = this._blockingCache.filter(
+        (obj) => !obj.userData.isNavmesh
+      );
+
+      this.el.sceneEl.object3D.updateMatrixWorld();
+      this._navBuild = createNavGraphBuilder(navmeshes, obstacles, {
+        cellSize: this.data.navCellSize,
+        maxStepHeight: this.data.maxStepHeight,
+        isExcluded: (point) => this._isNoGo(point),
+      });
+    },
+
+    _finishNavGraphBuild() {
+      this._navGraph = this._navBuild.graph;
+      this._navBuild = null;
+      this.log(
+        "Nav graph:",
+        this._navGraph
+          ? `${
+              this._navGraph.nodeCount
+            } nodes, cell ${this._navGraph.cellSize.toFixed(2)}m`
+          : "no navmesh"
+      );
+    },
+
+    _findWalkPath(point) {
+      const graph = this._getNavGraph();
+      if (!graph) return null;
+
+      // Path points are on the floor, the move target may sit above it
+      const heightOffset = this._vec3.end.y - point.y;
+      const from = this._vec3.temp.copy(this._vec3.start);
+      from.y -= heightOffset;
+
+      const points = graph.findPath(from, point);
+      if (!points) return null;
+
+      points.forEach((p) => (p.y += heightOffset));
+      points[0].copy(this._vec3.start);
+      points[points.length - 1].copy(this._vec3.end);
+
+      const lengths = [0];
+      for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + points[i - 1].distanceTo(points[i]));
+      }
+      return { points, lengths, total: lengths[lengths.length - 1] };
+    },
+
+    _samplePath(path, t, target) {
+      const distance = t * path.total;
+      let i = 1;
+      while (i < path.points.length - 1 && path.lengths[i] < distance) i++;
+      const segment = path.lengths[i] - path.lengths[i - 1];
+      const local =
+        segment > 0 ? (distance - path.lengths[i - 1]) / segment : 1;
+      return target.lerpVectors(path.points[i - 1], path.points[i], local);
+    },
+
     _createIndicator() {
       const geo = new THREE.RingGeometry(
         DEFAULTS.INDICATOR_INNER_RADIUS,
@@ -265,7 +1159,121 @@
         })
       );
       this.indicator.visible = false;
+      // Keep the ring out of the navmesh cache so rays and arcs pass through it
+      this.indicator.userData.raycastExclude = true;
       this.el.sceneEl.object3D.add(this.indicator);
+
+      // Arrow in front of the ring showing the landing direction
+      const tip = DEFAULTS.INDICATOR_OUTER_RADIUS + DEFAULTS.ARROW_LENGTH;
+      const arrowShape = new THREE.Shape()
+        .moveTo(-DEFAULTS.ARROW_WIDTH / 2, DEFAULTS.INDICATOR_OUTER_RADIUS)
+        .lineTo(0, tip)
+        .lineTo(DEFAULTS.ARROW_WIDTH / 2, DEFAULTS.INDICATOR_OUTER_RADIUS)
+        .closePath();
+      const arrowGeo = new THREE.ShapeGeometry(arrowShape);
+      arrowGeo.rotateX(-Math.PI / 2);
+      arrowGeo.translate(0, DEFAULTS.INDICATOR_Y_OFFSET, 0);
+
+      this.indicatorArrow = new THREE.Mesh(arrowGeo, this.indicator.material);
+      this.indicatorArrow.userData.raycastExclude = true;
+      this.indicatorArrow.visible = this.data.landingOrientation;
+      this.indicator.add(this.indicatorArrow);
+
+      // Radial dwell fill over the ring, revealed one wedge at a time
+      const fillGeo = new THREE.RingGeometry(
+        DEFAULTS.INDICATOR_INNER_RADIUS,
+        DEFAULTS.INDICATOR_OUTER_RADIUS,
+        DEFAULTS.DWELL_SEGMENTS,
+        1,
+        Math.PI / 2
+      );
+      fillGeo.rotateX(-Math.PI / 2);
+      fillGeo.translate(0, DEFAULTS.INDICATOR_Y_OFFSET * 1.5, 0);
+      fillGeo.setDrawRange(0, 0);
+
+      this.dwellFill = new THREE.Mesh(
+        fillGeo,
+        new THREE.MeshBasicMaterial({
+          color: this.data.dwellColor,
+          transparent: true,
+          opacity: this.data.cursorOpacity,
+        })
+      );
+      this.dwellFill.visible = false;
+      this.dwellFill.userData.raycastExclude = true;
+      this.el.sceneEl.object3D.add(this.dwellFill);
+    },
+
+    // Canvas sprite above the indicator telling why a spot is refused
+    _createRejectLabel() {
+      const canvas = document.createElement("canvas");
+      canvas.width = 512;
+      canvas.height = 96;
+      this.rejectLabel = new THREE.Sprite(
+        new THREE.SpriteMaterial({
+          map: new THREE.CanvasTexture(canvas),
+          transparent: true,
+          depthTest: false,
+        })
+      );
+      this.rejectLabel.scale.set(0.8, 0.15, 1);
+      this.rejectLabel.renderOrder = 9998;
+      this.rejectLabel.visible = false;
+      this.rejectLabel.userData.reason = null;
+      this.el.sceneEl.object3D.add(this.rejectLabel);
+    },
+
+    _showRejectLabel(reason) {
+      const label = this.rejectLabel;
+      label.visible = !!reason;
+      if (!reason || label.userData.reason === reason) return;
+
+      label.userData.reason = reason;
+      const canvas = label.material.map.image;
+      const ctx = canvas.getContext("2d");
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = this.data.rejectColor;
+      ctx.font = "bold 52px sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(
+        DEFAULTS.REJECT_MESSAGES[reason] || reason,
+        canvas.width / 2,
+        canvas.height / 2
+      );
+      label.material.map.needsUpdate = true;
+    },
+
+    _createArc() {
+      // Sized for arcSegments; update() rebuilds the line when that changes
+      const segments = Math.max(this.data.arcSegments, 1);
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute(
+        "position",
+        new THREE.BufferAttribute(new Float32Array((segments + 1) * 3), 3)
+      );
+
+      this.arcLine = new THREE.Line(
+        geo,
+        new THREE.LineBasicMaterial({
+          color: this.data.cursorColor,
+          transparent: true,
+          opacity: this.data.cursorOpacity,
+        })
+      );
+      this.arcLine.frustumCulled = false;
+      this.arcLine.visible = false;
+      this.el.sceneEl.object3D.add(this.arcLine);
+    },
+
+    _disposeArc() {
+      if (!this.arcLine) return;
+      this.el.sceneEl.object3D.remove(this.arcLine);
+      this.arcLine.geometry.dispose();
+      this.arcLine.material.dispose();
+      this.arcLine = null;
     },
 
     _createVignette() {
@@ -328,23 +1336,76 @@
       this.vignette.frustumCulled = false;
       this.vignette.renderOrder = 9999;
       this.vignette.visible = false; // Start hidden
+      // Hidden meshes are still hit by raycasts; never let the teleport ray
+      // or the navmesh cache see it
+      this.vignette.userData.raycastExclude = true;
 
       // Position it close to the camera - will be adjusted when camera is ready
       this.vignette.position.set(0, 0, -0.15);
       this.vignette.scale.set(0.25, 0.25, 1);
 
       // Find the actual camera object and attach vignette to it
-      this._attachVignetteToCamera();
+      this._attachToCamera(this.vignette, "Tunnel vignette");
+    },
+
+    // Full-view fade plane for blink and streak lines for dash, both carried
+    // by the camera so they work the same on desktop and in VR
+    _createTransitionEffects() {
+      this.fadeOverlay = new THREE.Mesh(
+        new THREE.PlaneGeometry(2, 2),
+        new THREE.MeshBasicMaterial({
+          color: this.data.blinkColor,
+          transparent: true,
+          opacity: 0,
+          depthTest: false,
+          depthWrite: false,
+        })
+      );
+      this.fadeOverlay.position.set(0, 0, -DEFAULTS.CAMERA_OVERLAY_DISTANCE);
+      this.fadeOverlay.frustumCulled = false;
+      this.fadeOverlay.renderOrder = 10000;
+      this.fadeOverlay.visible = false;
+      this.fadeOverlay.userData.raycastExclude = true;
+      this._attachToCamera(this.fadeOverlay, "Blink overlay");
+
+      // Lines parallel to the view direction, around the edge of the view
+      const positions = [];
+      for (let i = 0; i < DEFAULTS.DASH_STREAKS; i++) {
+        const angle = (i / DEFAULTS.DASH_STREAKS) * Math.PI * 2;
+        const radius = 0.35 + Math.random() * 0.35;
+        const x = Math.cos(angle) * radius;
+        const y = Math.sin(angle) * radius;
+        const z = -0.4 - Math.random() * 1.2;
+        positions.push(x, y, z, x, y, z - 0.3 - Math.random() * 0.5);
+      }
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(positions, 3)
+      );
+      this.dashStreaks = new THREE.LineSegments(
+        geo,
+        new THREE.LineBasicMaterial({
+          color: this.data.dashColor,
+          transparent: true,
+          opacity: 0,
+          depthTest: false,
+        })
+      );
+      this.dashStreaks.frustumCulled = false;
+      this.dashStreaks.renderOrder = 9997;
+      this.dashStreaks.visible = false;
+      this._attachToCamera(this.dashStreaks, "Dash streaks");
     },
 
-    _attachVignetteToCamera() {
+    _attachToCamera(object, label) {
       // Try to find the camera - it might be this element or a child
       const findCamera = () => {
         // Check if this element has a camera
         if (this.el.sceneEl.camera) {
           const cameraObject = this.el.sceneEl.camera;
-          cameraObject.add(this.vignette);
-          this.log("Tunnel vignette attached to scene camera");
+          cameraObject.add(object);
+          this.log(`${label} attached to scene camera`);
           return true;
         }
         return false;
@@ -389,9 +1450,12 @@
 
       this.cursorRaycaster = this.cursorEl.components.raycaster;
       this._handleClick = () => {
+        const input = this.isVR ? "gaze" : "mouse";
+        if (!this.data.inputs.includes(input)) return;
+        // Desktop orientation mode teleports on mouseup instead
+        if (this.data.landingOrientation && !this.isVR) return;
         if (this.isDragging && !this.isVR) return;
-        const hit = this._getValidHit();
-        if (hit) this._teleportTo(hit.point, hit.normal);
+        this._tryTeleport(this._getTarget("cursor"), input);
       };
       this.cursorEl.addEventListener("click", this._handleClick);
       this.log("Cursor ready");
@@ -412,66 +1476,775 @@
       scene.addEventListener("exit-vr", () => {
         this.isVR = false;
       });
-    },
-
-    _setupDragDetection() {
-      const canvas = this.el.sceneEl.canvas;
-      if (!canvas) return;
 
-      let startX, startY;
-      const threshold = this.data.dragThreshold;
+      // Controller events bubble up to the scene
+      this._onThumbstick = (e) => {
+        const { x, y } = e.detail;
 
-      this._onMouseDown = (e) => {
-        startX = e.clientX;
-        startY = e.clientY;
-        this.isDragging = false;
-      };
+        // While a landing spot is held the stick picks the direction instead
+        if (this.data.landingOrientation && this.orienting) {
+          this.turnInput = 0;
+          if (Math.hypot(x, y) < DEFAULTS.ORIENT_STICK_DEADZONE) return;
+          // Stick forward (y < 0) keeps the current view direction
+          this.landingYaw = this._getViewYaw() + Math.atan2(-x, -y);
+          this.indicatorArrow.rotation.y = this.landingYaw;
+          return;
+        }
 
-      this._onMouseMove = (e) => {
-        if (startX === undefined) return;
-        if (Math.hypot(e.clientX - startX, e.clientY - startY) > threshold) {
-          this.isDragging = true;
+        const hand = this._getControllerHand(e.target);
+        if (
+          this.data.continuousMove &&
+          this._isHand(hand, this.data.moveHand)
+        ) {
+          const centred = Math.hypot(x, y) < DEFAULTS.MOVE_STICK_DEADZONE;
+          this.moveInput.x = centred ? 0 : x;
+          this.moveInput.y = centred ? 0 : y;
+          this._moveStickEl = e.target;
+          return;
         }
+        if (!this._isHand(hand, this.data.turnHand)) return;
+        this._handleTurnInput(x);
       };
+      scene.addEventListener("thumbstickmoved", this._onThumbstick);
+    },
 
-      this._onMouseUp = () => {
-        setTimeout(() => (this.isDragging = false), 0);
-        startX = startY = undefined;
+    _setupMoveKeys() {
+      this._onMoveKeyDown = (e) => {
+        if (!this.data.continuousMove) return;
+        if (e.target.closest?.("input, textarea")) return;
+        const key = e.key.toLowerCase();
+        if (DEFAULTS.MOVE_KEYS[key]) this._moveKeys.add(key);
       };
+      this._onMoveKeyUp = (e) => this._moveKeys.delete(e.key.toLowerCase());
+      // Keys released while the window is in the background never send keyup
+      this._onWindowBlur = () => this._moveKeys.clear();
+      window.addEventListener("keydown", this._onMoveKeyDown);
+      window.addEventListener("keyup", this._onMoveKeyUp);
+      window.addEventListener("blur", this._onWindowBlur);
+    },
 
-      canvas.addEventListener("mousedown", this._onMouseDown);
-      canvas.addEventListener("mousemove", this._onMouseMove);
-      canvas.addEventListener("mouseup", this._onMouseUp);
+    // "left"/"right" from whichever controller component the element has
+    _getControllerHand(el) {
+      const components = Object.values(el?.components || {});
+      return components.find((c) => c.data?.hand)?.data.hand || null;
     },
 
-    _getValidHit() {
-      const raycaster = this.cursorRaycaster?.raycaster;
-      if (!raycaster) return null;
+    // Whether a controller of `hand` (null if unknown) fits a "left"/"right"/"any" setting
+    _isHand(hand, setting) {
+      return setting === "any" || !hand || hand === setting;
+    },
 
-      this._updateNavmeshCache();
-      const hits = raycaster.intersectObjects(this._navmeshCache, true);
-      if (!hits.length) return null;
+    _handleTurnInput(x) {
+      if (this.data.turnMode === "smooth") {
+        this.turnInput = Math.abs(x) < DEFAULTS.TURN_STICK_DEADZONE ? 0 : x;
+        return;
+      }
+      this.turnInput = 0;
+      if (this.data.turnMode !== "snap") return;
 
-      const hit = hits[0];
-      if (!hit.object.userData.isNavmesh || !hit.face) return null;
+      if (Math.abs(x) < DEFAULTS.TURN_STICK_RESET) {
+        this._snapLatched = false;
+      } else if (
+        !this._snapLatched &&
+        Math.abs(x) > DEFAULTS.TURN_STICK_THRESHOLD
+      ) {
+        this._snapLatched = true;
+        if (this.transitioning) return;
+        // Stick right turns clockwise, which is a negative yaw
+        this._turnRig(
+          -Math.sign(x) * THREE.MathUtils.degToRad(this.data.snapAngle)
+        );
 
-      // Check surface angle
-      this._mat3.getNormalMatrix(hit.object.matrixWorld);
-      const worldNormal = this._vec3.temp
-        .copy(hit.face.normal)
-        .applyMatrix3(this._mat3)
-        .normalize();
+        // Brief flash of the vignette hides the jump
+        if (this.isVR && this.data.tunnelEnabled && this.vignette) {
+          this.vignetteIntensity = 1.0;
+          this.vignetteTargetIntensity = 0.0;
+          this.vignetteFadeSpeed = 1.0 / (this.data.tunnelFadeOut / 1000);
+        }
+      }
+    },
 
-      const angle = THREE.MathUtils.radToDeg(
-        this._vec3.up.angleTo(worldNormal)
-      );
-      if (angle > this.data.landingMaxAngle) return null;
+    // Returns whether the rig turned this frame
+    _updateSmoothTurn(delta) {
+      const turning = this.turnInput !== 0 && !this.transitioning;
+      if (turning) {
+        const degrees =
+          -this.turnInput * this.data.smoothTurnSpeed * (delta / 1000);
+        this._turnRig(THREE.MathUtils.degToRad(degrees));
+      }
+      return turning;
+    },
 
-      return { point: hit.point, normal: worldNormal.clone() };
+    // Narrow the view while turning or walking; teleports manage it while
+    // they run
+    _updateMotionVignette(active) {
+      if (active === this._motionVignette) return;
+      this._motionVignette = active;
+      if (!this.isVR || !this.data.tunnelEnabled || !this.vignette) return;
+      if (!active && this.transitioning) return;
+      this.vignetteTargetIntensity = active ? 1.0 : 0.0;
+      this.vignetteFadeSpeed =
+        1.0 /
+        ((active ? this.data.tunnelFadeIn : this.data.tunnelFadeOut) / 1000);
     },
 
-    _teleportTo(point, normal) {
-      const moveTarget = this.rigEl?.object3D || this.cameraEl.object3D;
+    // Rotates the rig around the vertical axis through the head, so the
+    // user turns on the spot wherever they stand in their play area
+    _turnRig(angle) {
+      const rig = this.rigEl?.object3D;
+      const head = this.cameraEl.object3D;
+      if (!rig || rig === head) return;
+
+      rig.updateMatrixWorld(true);
+      const headBefore = head.getWorldPosition(this._vec3.start);
+
+      this._quat.temp.setFromAxisAngle(this._vec3.up, angle);
+      rig.quaternion.premultiply(this._quat.temp);
+
+      rig.updateMatrixWorld(true);
+      const headAfter = head.getWorldPosition(this._vec3.temp);
+      rig.position.x += headBefore.x - headAfter.x;
+      rig.position.z += headBefore.z - headAfter.z;
+    },
+
+    // Walks with the thumbstick or keys, kept on the navmeshes. Returns
+    // whether the player is walking this frame.
+    _updateLocomotion(delta) {
+      let x = this.moveInput.x;
+      let y = this.moveInput.y;
+      this._moveKeys.forEach((key) => {
+        x += DEFAULTS.MOVE_KEYS[key][0];
+        y += DEFAULTS.MOVE_KEYS[key][1];
+      });
+      const length = Math.hypot(x, y);
+      const active =
+        this.data.continuousMove &&
+        length > 0 &&
+        !this.transitioning &&
+        !this.orienting;
+
+      if (active !== this.moving) {
+        this.moving = active;
+        this.el.emit(active ? "locomotion-start" : "locomotion-end");
+      }
+      if (!active) return false;
+
+      // Full speed at full deflection, also for diagonal keys
+      const scale =
+        (this.data.moveSpeed * (delta / 1000)) / Math.max(length, 1);
+      const yaw = this._getMoveYaw();
+      const sin = Math.sin(yaw);
+      const cos = Math.cos(yaw);
+      // Stick and key "forward" is y < 0
+      const step = this._move.step.set(
+        (x * cos + y * sin) * scale,
+        0,
+        (y * cos - x * sin) * scale
+      );
+
+      const moveTarget = this.rigEl?.object3D || this.cameraEl.object3D;
+      const floorOffset =
+        !this.isVR && !this.rigEl ? this.data.cameraHeight : 0;
+      const floorY = moveTarget.position.y - floorOffset;
+      const head = this.cameraEl.object3D.getWorldPosition(this._move.head);
+
+      const landing = this._clampMove(head, floorY, step);
+      if (!landing) return true;
+      moveTarget.position.x += landing.x;
+      moveTarget.position.z += landing.z;
+      moveTarget.position.y = landing.y + floorOffset;
+      return true;
+    },
+
+    // Emits region-leave/region-enter when the navmesh under the head
+    // belongs to another region than before
+    _updateRegion(time) {
+      if (time - this._regionCheckTime < DEFAULTS.REGION_CHECK_INTERVAL) return;
+      this._regionCheckTime = time;
+      this._updateNavmeshCache();
+
+      const { raycaster, origin, down } = this._move;
+      this.cameraEl.object3D.getWorldPosition(origin);
+      raycaster.set(origin, down);
+      raycaster.far = Infinity;
+      // Blocking cache: the hands below the head are not the floor
+      const mesh = raycaster.intersectObjects(this._blockingCache, false)[0]
+        ?.object;
+      const region =
+        (mesh?.userData.isNavmesh && mesh.userData.navRegion) || null;
+      if (region === this.region) return;
+
+      if (this.region) {
+        this.log("Left region:", this.region);
+        this.el.emit("region-leave", {
+          region: this.region,
+          el: this._regionEl,
+        });
+      }
+      this.region = region;
+      this._regionEl = region ? mesh.el || null : null;
+      if (region) {
+        this.log("Entered region:", region);
+        this.el.emit("region-enter", { region, el: this._regionEl });
+      }
+    },
+
+    _getMoveYaw() {
+      const handEl = this._moveStickEl;
+      if (this.data.moveRelativeTo !== "hand" || !handEl?.object3D) {
+        return this._getViewYaw();
+      }
+      handEl.object3D.getWorldQuaternion(this._quat.temp);
+      return this._euler.setFromQuaternion(this._quat.temp, "YXZ").y;
+    },
+
+    // Where a step from `from` may go: the step itself, or else the step
+    // turned further and further to either side (shortened to its share in
+    // that direction), which slides the player along walls and navmesh
+    // edges. Returns { x, z, y } with the new floor height, or null.
+    _clampMove(from, floorY, step) {
+      this._updateNavmeshCache();
+      // Off the navmeshes only walls stop you, until you step onto one
+      const onNavmesh = !!this._probeFloor(from.x, from.z, floorY);
+      // Already squeezed against a wall (e.g. after a teleport without
+      // landing checks): only the way ahead has to be clear
+      const roomy = this._hasRoomAt(from.x, from.z, floorY);
+
+      const probe = this._move.probe;
+      for (const degrees of [0, ...DEFAULTS.MOVE_SLIDE_ANGLES]) {
+        for (const side of degrees ? [1, -1] : [1]) {
+          const angle = THREE.MathUtils.degToRad(degrees * side);
+          probe
+            .copy(step)
+            .applyAxisAngle(this._vec3.up, angle)
+            .multiplyScalar(Math.cos(angle));
+          const x = from.x + probe.x;
+          const z = from.z + probe.z;
+
+          const blocked = roomy
+            ? !this._hasRoomAt(x, z, floorY)
+            : this._isWallAhead(from, floorY, probe);
+          if (blocked) continue;
+          if (!onNavmesh) {
+            if (this._isNoGo(this._move.origin.set(x, floorY, z))) continue;
+            return { x: probe.x, z: probe.z, y: floorY };
+          }
+
+          const floor = this._probeFloor(x, z, floorY);
+          if (floor && this._isWalkable(floor) && !this._isNoGo(floor.point)) {
+            return { x: probe.x, z: probe.z, y: floor.point.y };
+          }
+        }
+      }
+      return null;
+    },
+
+    // Ring of rays at knee height, playerRadius long; steps and ramps below
+    // the knee don't count
+    _hasRoomAt(x, z, floorY) {
+      const { raycaster, origin, direction } = this._move;
+      origin.set(x, floorY + DEFAULTS.NAV_OBSTACLE_HEIGHT, z);
+      raycaster.far = this.data.playerRadius;
+      for (let i = 0; i < DEFAULTS.CLEARANCE_RAYS; i++) {
+        const angle = (i / DEFAULTS.CLEARANCE_RAYS) * Math.PI * 2;
+        raycaster.set(
+          origin,
+          direction.set(Math.sin(angle), 0, Math.cos(angle))
+        );
+        const wall = raycaster
+          .intersectObjects(this._blockingCache, false)
+          .some((hit) => !this._isFloorHit(hit));
+        if (wall) return false;
+      }
+      return true;
+    },
+
+    _isWallAhead(from, floorY, step) {
+      const length = step.length();
+      if (length === 0) return false;
+
+      const { raycaster, origin, direction } = this._move;
+      origin.set(from.x, floorY + DEFAULTS.NAV_OBSTACLE_HEIGHT, from.z);
+      direction.copy(step).divideScalar(length);
+      raycaster.set(origin, direction);
+      raycaster.far = length + this.data.playerRadius;
+      return raycaster
+        .intersectObjects(this._blockingCache, false)
+        .some((hit) => !this._isFloorHit(hit));
+    },
+
+    // Navmesh hit within maxStepHeight of floorY at x/z, or null
+    _probeFloor(x, z, floorY) {
+      const { raycaster, origin, down } = this._move;
+      const stepHeight = this.data.maxStepHeight;
+      origin.set(x, floorY + stepHeight, z);
+      raycaster.set(origin, down);
+      raycaster.far = stepHeight * 2;
+
+      const hit = raycaster.intersectObjects(this._navmeshCache, false)[0];
+      return hit?.object.userData.isNavmesh && hit.face ? hit : null;
+    },
+
+    // Walking uses the teleport slope limit
+    _isWalkable(hit) {
+      this._mat3.getNormalMatrix(hit.object.matrixWorld);
+      const normal = this._move.direction
+        .copy(hit.face.normal)
+        .applyMatrix3(this._mat3)
+        .normalize();
+      const angle = THREE.MathUtils.radToDeg(this._vec3.up.angleTo(normal));
+      return angle <= this.data.landingMaxAngle;
+    },
+
+    _setupDragDetection() {
+      const canvas = this.el.sceneEl.canvas;
+      if (!canvas) return;
+
+      let startX, startY;
+      const threshold = this.data.dragThreshold;
+
+      this._onMouseDown = (e) => {
+        startX = e.clientX;
+        startY = e.clientY;
+        this.isDragging = false;
+
+        if (
+          this.data.landingOrientation &&
+          !this.isVR &&
+          this.data.inputs.includes("mouse")
+        ) {
+          const target = this._getTarget("cursor");
+          if (target && !target.reason) this._startOrienting(target);
+          else this._tryTeleport(target, "mouse");
+        }
+      };
+
+      this._onMouseMove = (e) => {
+        if (startX === undefined) return;
+        if (Math.hypot(e.clientX - startX, e.clientY - startY) > threshold) {
+          this.isDragging = true;
+        }
+      };
+
+      this._onMouseUp = () => {
+        setTimeout(() => (this.isDragging = false), 0);
+        startX = startY = undefined;
+        if (this.orienting && !this.isVR) this._finishOrienting("mouse");
+      };
+
+      canvas.addEventListener("mousedown", this._onMouseDown);
+      canvas.addEventListener("mousemove", this._onMouseMove);
+      canvas.addEventListener("mouseup", this._onMouseUp);
+    },
+
+    // Only hits that pass every landing check
+    _getValidHit() {
+      const target = this._getTarget();
+      return target && !target.reason ? target : null;
+    },
+
+    // Navmesh hit under the aiming hand (ray or arc) or, without one, the
+    // cursor. Pass "cursor" to always use the cursor. Refused spots carry a
+    // `reason`.
+    _getTarget(from) {
+      const source = from === "cursor" ? null : this._getAimSource();
+      if (source && this.data.teleportMode === "arc") return this._getArcHit();
+
+      let raycaster = this.cursorRaycaster?.raycaster;
+      if (source) {
+        raycaster = this._arcRaycaster;
+        this._getSourceRay(
+          source,
+          raycaster.ray.origin,
+          raycaster.ray.direction
+        );
+        raycaster.far = Infinity;
+      }
+      if (!raycaster) return null;
+
+      this._updateNavmeshCache();
+      const hits = raycaster.intersectObjects(this._navmeshCache, true);
+      if (!hits.length) return null;
+
+      return this._validateHit(hits[0]);
+    },
+
+    _validateHit(hit) {
+      if (!hit.object.userData.isNavmesh || !hit.face) return null;
+
+      // Check surface angle
+      this._mat3.getNormalMatrix(hit.object.matrixWorld);
+      const worldNormal = this._vec3.temp
+        .copy(hit.face.normal)
+        .applyMatrix3(this._mat3)
+        .normalize();
+
+      const angle = THREE.MathUtils.radToDeg(
+        this._vec3.up.angleTo(worldNormal)
+      );
+      const target = { point: hit.point, normal: worldNormal.clone() };
+      if (angle > this.data.landingMaxAngle) {
+        target.reason = "too-steep";
+        return target;
+      }
+
+      const anchor = this._findAnchor(hit.point);
+      if (anchor) {
+        target.point = anchor.object3D.getWorldPosition(new THREE.Vector3());
+        target.normal = this._vec3.up.clone();
+        if (anchor.components["teleport-anchor"].data.face) {
+          anchor.object3D.getWorldQuaternion(this._quat.temp);
+          target.yaw = this._euler.setFromQuaternion(this._quat.temp, "YXZ").y;
+        }
+      }
+
+      if (this._isNoGo(target.point)) {
+        target.reason = "no-go";
+      } else if (this.data.validateLanding) {
+        const reason = this._checkClearance(target.point);
+        if (reason) target.reason = reason;
+      }
+      return target;
+    },
+
+    // Closest teleport-anchor whose radius reaches `point`
+    _findAnchor(point) {
+      let closest = null;
+      let closestDistance = Infinity;
+      this._anchors.forEach((anchorEl) => {
+        const anchor = anchorEl.components?.["teleport-anchor"];
+        if (!anchor) return;
+        const distance = anchorEl.object3D
+          .getWorldPosition(this._vec3.probe)
+          .distanceTo(point);
+        if (distance <= anchor.data.radius && distance < closestDistance) {
+          closest = anchorEl;
+          closestDistance = distance;
+        }
+      });
+      return closest;
+    },
+
+    // Whether a player standing on `point` would reach into a no-go volume
+    _isNoGo(point) {
+      if (!this._noGoVolumes.length) return false;
+      const probe = this._vec3.probe;
+      return [0.1, this.data.playerHeight / 2, this.data.playerHeight].some(
+        (height) => {
+          probe.copy(point).y += height;
+          return this._noGoVolumes.some((volumeEl) =>
+            volumeEl.components?.["no-go-volume"]?.containsPoint(probe)
+          );
+        }
+      );
+    },
+
+    // Tests the player capsule standing on `point`: a ray up for headroom and
+    // rings of horizontal rays for walls. Floor-like surfaces (steps, ramps)
+    // don't count as walls.
+    _checkClearance(point) {
+      const last = this._clearanceCheck;
+      if (
+        last &&
+        last.point.distanceTo(point) < DEFAULTS.CLEARANCE_RECHECK_DISTANCE
+      ) {
+        return last.reason;
+      }
+
+      const { playerHeight, playerRadius } = this.data;
+      const raycaster = this._clearanceRaycaster;
+      const origin = this._vec3.temp;
+      const direction = this._vec3.clearance;
+      let reason = null;
+
+      origin.copy(point).addScaledVector(this._vec3.up, 0.01);
+      raycaster.set(origin, this._vec3.up);
+      raycaster.far = playerHeight;
+      if (raycaster.intersectObjects(this._blockingCache, false).length) {
+        reason = "no-headroom";
+      }
+
+      const heights = [
+        this.data.maxStepHeight + 0.05,
+        playerHeight / 2,
+        playerHeight - playerRadius,
+      ];
+      raycaster.far = playerRadius;
+      for (let h = 0; !reason && h < heights.length; h++) {
+        origin.copy(point);
+        origin.y += heights[h];
+        for (let i = 0; i < DEFAULTS.CLEARANCE_RAYS; i++) {
+          const angle = (i / DEFAULTS.CLEARANCE_RAYS) * Math.PI * 2;
+          direction.set(Math.sin(angle), 0, Math.cos(angle));
+          raycaster.set(origin, direction);
+          const wall = raycaster
+            .intersectObjects(this._blockingCache, false)
+            .find((hit) => !this._isFloorHit(hit));
+          if (wall) {
+            reason = "too-narrow";
+            break;
+          }
+        }
+      }
+
+      this._clearanceCheck = { point: point.clone(), reason };
+      return reason;
+    },
+
+    _isFloorHit(hit) {
+      if (!hit.face) return false;
+      this._mat3.getNormalMatrix(hit.object.matrixWorld);
+      const normal = this._vec3.hitNormal
+        .copy(hit.face.normal)
+        .applyMatrix3(this._mat3)
+        .normalize();
+      return Math.abs(normal.y) >= DEFAULTS.FLOOR_NORMAL_MIN_Y;
+    },
+
+    // Teleports to a target from _getTarget(), or reports why it can't
+    _tryTeleport(target, input) {
+      if (!target) return;
+      if (target.reason) {
+        this.log("Teleport refused:", target.reason);
+        this.el.emit("navigation-rejected", {
+          reason: target.reason,
+          point: target.point.clone(),
+          source: input || null,
+        });
+        return;
+      }
+      this._teleportTo(target.point, target.normal, input, target.yaw);
+    },
+
+    // In VR a controller or hand aims whenever trigger or pinch input is on
+    _getAimSource() {
+      if (!this.isVR) return null;
+      const { inputs } = this.data;
+      if (!inputs.includes("trigger") && !inputs.includes("pinch")) return null;
+
+      this._updateHandSources();
+      if (this.activeSourceEl?.isConnected) return this.activeSourceEl;
+      return this._handSources.keys().next().value || null;
+    },
+
+    _isArcActive() {
+      return this.data.teleportMode === "arc" && !!this._getAimSource();
+    },
+
+    // Listens for press/release on every controller and hand (or the
+    // arcSource elements); rebuilt after the scene changes
+    _updateHandSources() {
+      if (!this._handSourcesDirty) return;
+      this._handSourcesDirty = false;
+      this._unbindHandSources();
+
+      const selector = this.data.arcSource || DEFAULTS.HAND_SOURCE_SELECTOR;
+      this.el.sceneEl.querySelectorAll(selector).forEach((sourceEl) => {
+        const listeners = [];
+        Object.entries(DEFAULTS.INPUT_EVENTS).forEach(([input, [down, up]]) => {
+          if (!this.data.inputs.includes(input)) return;
+          listeners.push([down, () => this._onSourcePress(sourceEl)]);
+          listeners.push([up, () => this._onSourceRelease(sourceEl, input)]);
+        });
+        listeners.forEach(([name, fn]) => sourceEl.addEventListener(name, fn));
+        this._handSources.set(sourceEl, listeners);
+      });
+      this.log("Hand sources:", this._handSources.size);
+    },
+
+    _unbindHandSources() {
+      this._handSources.forEach((listeners, sourceEl) =>
+        listeners.forEach(([name, fn]) =>
+          sourceEl.removeEventListener(name, fn)
+        )
+      );
+      this._handSources.clear();
+      if (!this.activeSourceEl?.isConnected) this.activeSourceEl = null;
+    },
+
+    _onSourcePress(sourceEl) {
+      if (!this.isVR || this.transitioning) return;
+      // The hand that presses takes over aiming
+      this.activeSourceEl = sourceEl;
+      this._pressedSource = sourceEl;
+
+      if (!this.data.landingOrientation) return;
+      const hit = this._getTarget();
+      if (hit && !hit.reason) this._startOrienting(hit);
+    },
+
+    _onSourceRelease(sourceEl, input) {
+      if (!this.isVR || sourceEl !== this._pressedSource) return;
+      this._pressedSource = null;
+
+      if (this.orienting) {
+        this._finishOrienting(input);
+        return;
+      }
+      if (this.transitioning) return;
+      this._tryTeleport(this._getTarget(), input);
+    },
+
+    _getSourceRay(sourceEl, origin, direction) {
+      const ray = sourceEl.components?.raycaster?.raycaster?.ray;
+      if (ray) {
+        // laser-controls keeps its ray in world space, including hand tracking
+        origin.copy(ray.origin);
+        direction.copy(ray.direction);
+      } else {
+        sourceEl.object3D.getWorldPosition(origin);
+        sourceEl.object3D.getWorldQuaternion(this._arc.quat);
+        direction.set(0, 0, -1).applyQuaternion(this._arc.quat);
+      }
+      return direction.normalize();
+    },
+
+    // Walks the projectile curve segment by segment and stops at the first
+    // surface it touches, so walls and ceilings block the arc
+    _getArcHit() {
+      const sourceEl = this._getAimSource();
+      if (!sourceEl || !this.arcLine) return null;
+
+      const { origin, velocity, point, next, direction } = this._arc;
+      this._getSourceRay(sourceEl, origin, velocity);
+      velocity.multiplyScalar(this.data.arcVelocity);
+
+      // Time until the arc has fallen arcMaxDrop below the hand
+      const gravity = Math.max(this.data.arcGravity, 0.001);
+      const flightTime =
+        (velocity.y +
+          Math.sqrt(
+            velocity.y * velocity.y + 2 * gravity * this.data.arcMaxDrop
+          )) /
+        gravity;
+      const segments = this.arcLine.geometry.attributes.position.count - 1;
+      const step = flightTime / segments;
+      const positions = this.arcLine.geometry.attributes.position;
+
+      this._updateNavmeshCache();
+      point.copy(origin);
+      positions.setXYZ(0, point.x, point.y, point.z);
+
+      let hit = null;
+      let drawn = segments;
+      for (let i = 1; i <= segments; i++) {
+        const t = step * i;
+        next.set(
+          origin.x + velocity.x * t,
+          origin.y + velocity.y * t - 0.5 * gravity * t * t,
+          origin.z + velocity.z * t
+        );
+        direction.subVectors(next, point);
+        const length = direction.length();
+
+        this._arcRaycaster.set(point, direction.divideScalar(length));
+        this._arcRaycaster.far = length;
+        const hits = this._arcRaycaster.intersectObjects(
+          this._navmeshCache,
+          true
+        );
+
+        if (hits.length) {
+          positions.setXYZ(
+            i,
+            hits[0].point.x,
+            hits[0].point.y,
+            hits[0].point.z
+          );
+          hit = this._validateHit(hits[0]);
+          drawn = i;
+          break;
+        }
+
+        positions.setXYZ(i, next.x, next.y, next.z);
+        point.copy(next);
+      }
+
+      positions.needsUpdate = true;
+      this.arcLine.geometry.setDrawRange(0, drawn + 1);
+      this.arcLine.material.opacity =
+        hit && !hit.reason
+          ? this.data.cursorOpacity
+          : this.data.cursorOpacity * DEFAULTS.ARC_INVALID_OPACITY;
+      this.arcLine.material.color.set(
+        hit?.reason ? this.data.rejectColor : this.data.cursorColor
+      );
+      return hit;
+    },
+
+    _getViewYaw() {
+      this.cameraEl.object3D.getWorldQuaternion(this._quat.temp);
+      return this._euler.setFromQuaternion(this._quat.temp, "YXZ").y;
+    },
+
+    _startOrienting(hit) {
+      if (this.transitioning) return;
+      this.orienting = {
+        point: hit.point.clone(),
+        normal: hit.normal,
+        yaw: hit.yaw ?? null, // Anchors fix the facing
+      };
+      this.indicator.position.copy(hit.point);
+      this.indicator.visible = true;
+      if (hit.yaw != null) this.indicatorArrow.rotation.y = hit.yaw;
+    },
+
+    // Points the arrow from the locked target towards where the aiming hand
+    // (or the cursor) now meets the floor plane
+    _updateOrientation() {
+      const { point, yaw } = this.orienting;
+      if (yaw !== null) return;
+      const ray = this._orientRay;
+      const source = this._getAimSource();
+      if (source) {
+        this._getSourceRay(source, ray.origin, ray.direction);
+      } else if (this.cursorRaycaster?.raycaster) {
+        ray.copy(this.cursorRaycaster.raycaster.ray);
+      } else {
+        return;
+      }
+
+      this._orientPlane.setFromNormalAndCoplanarPoint(this._vec3.up, point);
+      const aim = ray.intersectPlane(this._orientPlane, this._vec3.temp);
+      if (!aim || aim.distanceTo(point) < DEFAULTS.ORIENT_MIN_DRAG) return;
+
+      this.landingYaw = Math.atan2(-(aim.x - point.x), -(aim.z - point.z));
+      this.indicatorArrow.rotation.y = this.landingYaw;
+    },
+
+    _finishOrienting(input) {
+      const { point, normal, yaw } = this.orienting;
+      this.orienting = null;
+      this._teleportTo(point, normal, input, yaw);
+    },
+
+    // Turns the rig so the camera ends up facing `yaw`, pivoting around the
+    // head so a VR user standing away from the rig centre stays in place
+    _applyLandingYaw(yaw, tilted) {
+      const rig = this.moveTarget;
+      const head = this.cameraEl.object3D;
+      if (!rig || rig === head) return;
+
+      rig.updateMatrixWorld(true);
+      const headBefore = head.getWorldPosition(this._vec3.start);
+      const headYaw = this._euler.setFromQuaternion(head.quaternion, "YXZ").y;
+
+      this._quat.temp.setFromAxisAngle(this._vec3.up, yaw - headYaw);
+      if (tilted) {
+        rig.quaternion.copy(this._quat.tilt).multiply(this._quat.temp);
+      } else {
+        rig.quaternion.copy(this._quat.temp);
+      }
+
+      rig.updateMatrixWorld(true);
+      const headAfter = head.getWorldPosition(this._vec3.temp);
+      rig.position.x += headBefore.x - headAfter.x;
+      rig.position.z += headBefore.z - headAfter.z;
+    },
+
+    // `yaw` (from a teleport-anchor) overrides the chosen landing direction
+    _teleportTo(point, normal, input = null, yaw = null) {
+      const moveTarget = this.rigEl?.object3D || this.cameraEl.object3D;
       if (!moveTarget) return;
 
       this.moveTarget = moveTarget;
@@ -482,28 +2255,71 @@
       const targetY = addHeight ? point.y + this.data.cameraHeight : point.y;
       this._vec3.end.set(point.x, targetY, point.z);
 
-      // Setup rotation alignment
+      this._path = null;
+      if (this.data.pathfinding) {
+        this._path = this._findWalkPath(point);
+        if (!this._path) {
+          this.log("No path to target, teleport refused");
+          this.el.emit("navigation-rejected", {
+            reason: "no-path",
+            point: point.clone(),
+            source: input || null,
+          });
+          return;
+        }
+      }
+
+      // Setup rotation alignment: the surface tilt keeps the rig's heading
+      // (e.g. from snap turns) and pivots around the head
       this.aligningRotation = false;
       if (this.data.alignToSurface && normal && this.rigEl) {
         this.aligningRotation = true;
         this._quat.start.copy(moveTarget.quaternion);
-        this._quat.end.setFromUnitVectors(this._vec3.up, normal);
+        this._quat.tilt.setFromUnitVectors(this._vec3.up, normal);
+        const rigYaw = this._euler.setFromQuaternion(
+          moveTarget.quaternion,
+          "YXZ"
+        ).y;
+        this._quat.end
+          .setFromAxisAngle(this._vec3.up, rigYaw)
+          .premultiply(this._quat.tilt);
+        moveTarget.updateMatrixWorld(true);
+        this.cameraEl.object3D.getWorldPosition(this._vec3.headLocal);
+        moveTarget.worldToLocal(this._vec3.headLocal);
+        this._vec3.headOffset
+          .copy(this._vec3.headLocal)
+          .applyQuaternion(this._quat.start);
         this._vec3.currentNormal.set(0, 1, 0);
         this._vec3.targetNormal.copy(normal);
       }
 
+      this._arrivalYaw =
+        yaw ?? (this.data.landingOrientation ? this.landingYaw : null);
+      this.landingYaw = null;
+
+      const style = this.data.transitionStyle;
+      this.transitionStyle = style;
       this.transitionProgress = 0;
       this.transitioning = true;
-      this.el.emit("navigation-start");
+      this._arrived = false;
+      this.inputSource = input;
+      this._landingPoint = point.clone();
+      this.el.emit("navigation-start", { source: input, point: point.clone() });
+
+      if (style === "instant") {
+        this._finishTransition();
+        return;
+      }
 
       // Trigger tunnel vignette fade in (VR only - reduces motion sickness)
-      if (this.isVR && this.data.tunnelEnabled && this.vignette) {
+      const moving = style === "glide" || style === "dash";
+      if (moving && this.isVR && this.data.tunnelEnabled && this.vignette) {
         this.vignetteTargetIntensity = 1.0;
         this.vignetteFadeSpeed = 1.0 / (this.data.tunnelFadeIn / 1000);
       }
 
       // Legacy VR tunnel animation (if tunnel element exists)
-      if (this.isVR && this.tunnelEl) {
+      if (style === "glide" && this.isVR && this.tunnelEl) {
         this.tunnelEl.removeAttribute("animation__tunnel_down");
         this.tunnelEl.setAttribute("animation__tunnel_down", {
           property: "scale.y",
@@ -523,24 +2339,64 @@
     },
 
     tick(time, delta) {
+      // Picks up controllers and hands added since the last scene change
+      this._updateHandSources();
+      const turning = this._updateSmoothTurn(delta);
+      const walking = this._updateLocomotion(delta);
+      this._updateMotionVignette(turning || walking);
+      this._updateRegion(time);
+      this._updateNavGraph();
+
       // Update vignette intensity
       this._updateVignette(delta);
 
       if (!this.transitioning) {
-        this._updateIndicator();
+        if (this.orienting) this._updateOrientation();
+        else this._updateIndicator();
+        this._updateDwell(delta);
         return;
       }
+      this._cancelDwell();
+      if (this.arcLine) this.arcLine.visible = false;
 
-      this.transitionProgress += delta * this.data.transitionSpeed;
+      if (this.transitionStyle === "blink") {
+        this._updateBlink(delta);
+        return;
+      }
+
+      // Walking covers the path at walkSpeed, dashes take dashDuration and
+      // glides use transitionSpeed
+      const dashing = this.transitionStyle === "dash";
+      if (dashing) {
+        this.transitionProgress += delta / this.data.dashDuration;
+      } else if (this._path) {
+        this.transitionProgress +=
+          (delta / 1000) *
+          (this.data.walkSpeed / Math.max(this._path.total, 0.001));
+      } else {
+        this.transitionProgress += delta * this.data.transitionSpeed;
+      }
       const t = Math.min(this.transitionProgress, 1);
-      const eased = easeInOutQuad(t);
+      const eased = dashing ? t : easeInOutQuad(t);
+
+      if (dashing) {
+        this.dashStreaks.visible = t < 1;
+        this.dashStreaks.material.opacity =
+          Math.sin(Math.PI * t) * DEFAULTS.DASH_STREAK_OPACITY;
+        // Streaks rush past the camera
+        this.dashStreaks.position.z = (t * 4) % 1;
+      }
 
       // Position
-      this.moveTarget.position.lerpVectors(
-        this._vec3.start,
-        this._vec3.end,
-        eased
-      );
+      if (this._path) {
+        this._samplePath(this._path, eased, this.moveTarget.position);
+      } else {
+        this.moveTarget.position.lerpVectors(
+          this._vec3.start,
+          this._vec3.end,
+          eased
+        );
+      }
 
       // Rotation
       if (this.aligningRotation) {
@@ -550,6 +2406,7 @@
           this._quat.end,
           rotT
         );
+        this._pivotAtHead();
       }
 
       if (t >= 1) {
@@ -558,12 +2415,28 @@
     },
 
     _updateIndicator() {
-      const hit = this._getValidHit();
+      const arcActive = this._isArcActive();
+      const hit = this._getTarget();
+      if (this.arcLine) this.arcLine.visible = arcActive;
       const wasHidden = !this.indicator.visible;
       this.indicator.visible = !!hit;
+      this._showRejectLabel(hit?.reason);
 
       if (!hit) return;
 
+      this.indicator.material.color.set(
+        hit.reason ? this.data.rejectColor : this.data.cursorColor
+      );
+      const fixedYaw = hit.yaw ?? null;
+      this.indicatorArrow.visible =
+        (this.data.landingOrientation || fixedYaw !== null) && !hit.reason;
+
+      if (fixedYaw !== null) {
+        this.indicatorArrow.rotation.y = fixedYaw;
+      } else if (this.data.landingOrientation) {
+        this.indicatorArrow.rotation.y = this.landingYaw ?? this._getViewYaw();
+      }
+
       if (wasHidden) {
         this.indicator.position.copy(hit.point);
       } else {
@@ -577,28 +2450,157 @@
           DEFAULTS.INDICATOR_LERP_FACTOR
         );
       }
+
+      this.rejectLabel.position
+        .copy(this.indicator.position)
+        .addScaledVector(this._vec3.up, DEFAULTS.LABEL_HEIGHT);
     },
 
-    _finishTransition() {
-      this.transitioning = false;
-      this.moveTarget.position.copy(this._vec3.end);
+    // Fade out, jump while the view is covered, fade back in
+    _updateBlink(delta) {
+      this.transitionProgress += delta / Math.max(this.data.blinkDuration, 1);
+      const t = Math.min(this.transitionProgress, 1);
 
-      if (this.aligningRotation) {
-        this.moveTarget.quaternion.copy(this._quat.end);
-        this._vec3.currentNormal.copy(this._vec3.targetNormal);
-        this.aligningRotation = false;
-      }
+      if (t >= 0.5) this._arrive();
+      this.fadeOverlay.visible = t < 1;
+      this.fadeOverlay.material.opacity = t < 0.5 ? t * 2 : (1 - t) * 2;
 
-      this.el.emit("navigation-end");
+      if (t >= 1) this._finishTransition();
+    },
 
-      // Trigger tunnel vignette fade out (VR only)
-      if (this.isVR && this.data.tunnelEnabled && this.vignette) {
-        this.vignetteTargetIntensity = 0.0;
-        this.vignetteFadeSpeed = 1.0 / (this.data.tunnelFadeOut / 1000);
+    // Fills the ring while the cursor rests on one spot or waypoint, then
+    // teleports (or clicks the waypoint). Drifting beyond dwellTolerance
+    // starts over.
+    _updateDwell(delta) {
+      if (!this.data.inputs.includes("dwell") || this.orienting) {
+        this._cancelDwell();
+        return;
+      }
+
+      const gaze = this._getDwellTarget();
+      if (this._dwellLock) {
+        if (this._isDwellLocked(gaze)) {
+          this._cancelDwell();
+          return;
+        }
+        this._dwellLock = null;
+      }
+      if (!gaze) {
+        this._cancelDwell();
+        return;
+      }
+
+      if (!this.dwell || !this._isSameDwellTarget(this.dwell, gaze)) {
+        this.dwell = { point: gaze.point.clone(), el: gaze.el, elapsed: 0 };
+      }
+      this.dwell.elapsed += delta;
+      const progress = Math.min(
+        this.dwell.elapsed / Math.max(this.data.dwellTime, 1),
+        1
+      );
+      this._showDwellFill(gaze, progress);
+      if (progress < 1) return;
+
+      this._cancelDwell();
+      this._lockDwell(gaze);
+      if (gaze.el) {
+        this.log("Dwell click:", gaze.el.id || gaze.el.tagName.toLowerCase());
+        gaze.el.emit("click", {
+          cursorEl: this.cursorEl,
+          intersection: gaze.intersection,
+        });
+      } else {
+        this._tryTeleport(gaze.target, "dwell");
+      }
+    },
+
+    // A go-to waypoint under the cursor, or else a valid navmesh spot
+    _getDwellTarget() {
+      const intersection = this.cursorRaycaster?.intersections?.[0];
+      const waypointEl = intersection?.object.el?.closest?.("[go-to]");
+      if (waypointEl) {
+        return { el: waypointEl, point: intersection.point, intersection };
+      }
+
+      const target = this._getTarget("cursor");
+      if (!target || target.reason) return null;
+      return { el: null, point: target.point, target };
+    },
+
+    _isSameDwellTarget(a, b) {
+      if (!b) return false;
+      if (a.el || b.el) return a.el === b.el;
+      return a.point.distanceTo(b.point) <= this.data.dwellTolerance;
+    },
+
+    // A fired spot stays blocked until the gaze turns away from it. The lock
+    // keeps the gaze direction rather than the point, since a teleport moves
+    // the view but not where it looks.
+    _lockDwell(gaze) {
+      const ray = this.cursorRaycaster.raycaster.ray;
+      const distance = Math.max(ray.origin.distanceTo(gaze.point), 0.001);
+      this._dwellLock = {
+        el: gaze.el,
+        direction: ray.direction.clone(),
+        angle: Math.atan2(this.data.dwellTolerance, distance),
+      };
+    },
+
+    _isDwellLocked(gaze) {
+      const lock = this._dwellLock;
+      if (!gaze) return false;
+      if (lock.el || gaze.el) return lock.el === gaze.el;
+      const direction = this.cursorRaycaster.raycaster.ray.direction;
+      return direction.angleTo(lock.direction) <= lock.angle;
+    },
+
+    _showDwellFill(gaze, progress) {
+      const fill = this.dwellFill;
+      fill.geometry.setDrawRange(
+        0,
+        6 * Math.round(progress * DEFAULTS.DWELL_SEGMENTS)
+      );
+      fill.visible = true;
+
+      if (gaze.el) {
+        // On a waypoint the fill faces the camera
+        fill.position.copy(gaze.point);
+        this.el.object3D
+          .getWorldPosition(this._vec3.temp)
+          .sub(gaze.point)
+          .normalize();
+        fill.quaternion.setFromUnitVectors(this._vec3.up, this._vec3.temp);
+      } else {
+        fill.position.copy(this.indicator.position);
+        fill.quaternion.copy(this.indicator.quaternion);
+      }
+    },
+
+    _cancelDwell() {
+      this.dwell = null;
+      if (this.dwellFill) this.dwellFill.visible = false;
+    },
+
+    _finishTransition() {
+      this.transitioning = false;
+      this._path = null;
+      this._arrive();
+      this.fadeOverlay.visible = false;
+      this.dashStreaks.visible = false;
+
+      this.el.emit("navigation-end", {
+        source: this.inputSource,
+        point: this._landingPoint.clone(),
+      });
+
+      // Trigger tunnel vignette fade out (VR only)
+      if (this.isVR && this.data.tunnelEnabled && this.vignette) {
+        this.vignetteTargetIntensity = 0.0;
+        this.vignetteFadeSpeed = 1.0 / (this.data.tunnelFadeOut / 1000);
       }
 
       // Legacy VR tunnel animation
-      if (this.isVR && this.tunnelEl) {
+      if (this.transitionStyle === "glide" && this.isVR && this.tunnelEl) {
         this.tunnelEl.removeAttribute("animation__tunnel_up");
         this.tunnelEl.setAttribute("animation__tunnel_up", {
           property: "scale.y",
@@ -609,6 +2611,37 @@
       }
     },
 
+    // Puts the rig at the destination with its final rotation (once per move)
+    _arrive() {
+      if (this._arrived) return;
+      this._arrived = true;
+      this.moveTarget.position.copy(this._vec3.end);
+
+      const tilted = this.aligningRotation;
+      if (this.aligningRotation) {
+        this.moveTarget.quaternion.copy(this._quat.end);
+        this._pivotAtHead();
+        this._vec3.currentNormal.copy(this._vec3.targetNormal);
+        this.aligningRotation = false;
+      }
+
+      if (this._arrivalYaw !== null) {
+        this._applyLandingYaw(this._arrivalYaw, tilted);
+        this._arrivalYaw = null;
+      }
+    },
+
+    // Shifts the tilting rig so the head keeps its horizontal offset from
+    // the rig position, i.e. the tilt pivots around the head
+    _pivotAtHead() {
+      const rig = this.moveTarget;
+      const offset = this._vec3.pivot
+        .copy(this._vec3.headLocal)
+        .applyQuaternion(rig.quaternion);
+      rig.position.x += this._vec3.headOffset.x - offset.x;
+      rig.position.z += this._vec3.headOffset.z - offset.z;
+    },
+
     _updateVignette(delta) {
       if (!this.vignette || !this.data.tunnelEnabled) return;
 
@@ -638,9 +2671,45 @@
       if (!this.indicator) return;
       if (oldData.cursorColor !== this.data.cursorColor) {
         this.indicator.material.color.set(this.data.cursorColor);
+        this.arcLine?.material.color.set(this.data.cursorColor);
       }
       if (oldData.cursorOpacity !== this.data.cursorOpacity) {
         this.indicator.material.opacity = this.data.cursorOpacity;
+        this.dwellFill.material.opacity = this.data.cursorOpacity;
+      }
+      this.dwellFill.material.color.set(this.data.dwellColor);
+      this.fadeOverlay.material.color.set(this.data.blinkColor);
+      this.dashStreaks.material.color.set(this.data.dashColor);
+      this.indicatorArrow.visible = this.data.landingOrientation;
+      if (
+        oldData.arcSegments !== undefined &&
+        oldData.arcSegments !== this.data.arcSegments
+      ) {
+        this._disposeArc();
+        this._createArc();
+      }
+      if (oldData.turnMode !== this.data.turnMode) {
+        this.turnInput = 0;
+        this._snapLatched = false;
+      }
+      if (!this.data.continuousMove) {
+        this.moveInput.x = this.moveInput.y = 0;
+        this._moveKeys.clear();
+      } else if (this.el.components["wasd-controls"]) {
+        // Its free movement would ignore the navmeshes
+        this.el.setAttribute("wasd-controls", "enabled", false);
+      }
+      if (
+        oldData.arcSource !== this.data.arcSource ||
+        oldData.inputs !== this.data.inputs
+      ) {
+        this._handSourcesDirty = true;
+      }
+      if (
+        oldData.navCellSize !== this.data.navCellSize ||
+        oldData.maxStepHeight !== this.data.maxStepHeight
+      ) {
+        this._navGraphStale = true;
       }
     },
 
@@ -648,8 +2717,29 @@
       if (this.indicator) {
         this.el.sceneEl.object3D.remove(this.indicator);
         this.indicator.geometry.dispose();
+        this.indicatorArrow.geometry.dispose();
         this.indicator.material.dispose();
       }
+      [this.dwellFill, this.fadeOverlay, this.dashStreaks].forEach((object) => {
+        if (!object) return;
+        object.parent?.remove(object);
+        object.geometry.dispose();
+        object.material.dispose();
+      });
+      if (this.rejectLabel) {
+        this.el.sceneEl.object3D.remove(this.rejectLabel);
+        this.rejectLabel.material.map.dispose();
+        this.rejectLabel.material.dispose();
+      }
+      this.el.sceneEl.removeEventListener(
+        "thumbstickmoved",
+        this._onThumbstick
+      );
+      window.removeEventListener("keydown", this._onMoveKeyDown);
+      window.removeEventListener("keyup", this._onMoveKeyUp);
+      window.removeEventListener("blur", this._onWindowBlur);
+      this._disposeArc();
+      this._unbindHandSources();
       // Clean up vignette
       if (this.vignette) {
         if (this.vignette.parent) {
@@ -664,6 +2754,14 @@
       }
       if (this._observer) {
         this._observer.disconnect();
+        this.el.sceneEl.removeEventListener(
+          "model-loaded",
+          this._onSceneChanged
+        );
+        this.el.sceneEl.removeEventListener(
+          "navmesh-changed",
+          this._onSceneChanged
+        );
       }
       const canvas = this.el.sceneEl?.canvas;
       if (canvas) {
@@ -675,19 +2773,45 @@
   });
 
   // ============================================================================
-  // GO-TO COMPONENT
+  // LEGACY TELEPORT COMPONENTS
   // ============================================================================
-  AFRAME.registerComponent("go-to", {
+  // Older copies of this file had their own rings, raycasters and rig moves
+  // here. Both now only feed a-cursor-teleport, so scenes using them get
+  // the same navmesh cache, landing checks, vignette and events.
+
+  // On a hand/controller: it becomes a trigger/pinch source of
+  // a-cursor-teleport (see HAND_SOURCE_SELECTOR) and the collision
+  // entities become navmeshes. a-cursor-teleport looks them up whenever
+  // the scene changes, so entities added later are targets too.
+  AFRAME.registerComponent("pinch-teleport-02", {
     schema: {
-      position: { type: "vec3" },
-      rotation: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
-      duration: { type: "number", default: DEFAULTS.GO_TO_DURATION },
-      easing: { type: "string", default: "easeInOutQuad" },
+      collisionEntities: { type: "string", default: ".collision" },
+    },
+
+    tagTargets() {
+      if (!this.data.collisionEntities) return;
+      this.el.sceneEl
+        .querySelectorAll(this.data.collisionEntities)
+        .forEach((el) => {
+          if (!el.hasAttribute("navmesh")) el.setAttribute("navmesh", "");
+        });
     },
+  });
 
+  // On any entity: clicking it teleports there through a-cursor-teleport
+  AFRAME.registerComponent("click-teleport-03", {
     init() {
-      this.log = createLogger("[go-to]");
+      this.el.setAttribute("navmesh", "");
+    },
+  });
 
+  // ============================================================================
+  // GO-TO COMPONENT
+  // ============================================================================
+  // Movement shared by go-to and the bookmark jumps of
+  // save-position-and-rotation. Needs `duration` and `easing` in the schema.
+  const goToMovement = {
+    _initMovement() {
       this.cameraEl =
         this.el.sceneEl.querySelector("[camera]") ||
         this.el.sceneEl.querySelector("a-camera");
@@ -705,17 +2829,36 @@
       this._tempVec = new THREE.Vector3();
       this._vrDelta = null;
       this._vrApplied = null;
+      this._pathMove = null;
+      this._lookQuat = new THREE.Quaternion();
+      this._lookEuler = new THREE.Euler(0, 0, 0, "YXZ");
+      this._focusPos = new THREE.Vector3();
+      this._pathTangent = new THREE.Vector3();
 
       this.el.sceneEl.addEventListener("enter-vr", () => (this.isVR = true));
       this.el.sceneEl.addEventListener("exit-vr", () => (this.isVR = false));
+    },
 
-      this._onClick = this._onClick.bind(this);
-      this.el.addEventListener("click", this._onClick);
+    // `rotation` (degrees, applied to the rig) is ignored in VR or when null
+    _navigateTo(position, rotation) {
+      this._closeTunnel();
+      this._pathMove = null;
+      this._emitMoveStart(position);
+
+      if (this.isVR) {
+        this._moveVR(position);
+      } else {
+        this._moveDesktop(position, rotation);
+      }
     },
 
-    _onClick(evt) {
-      if (!evt.detail?.intersection) return;
+    // go-to-start/-complete ({ source: "go-to", "tour", ... }) on the camera
+    _emitMoveStart(position) {
+      const point = new THREE.Vector3(position.x, position.y, position.z);
+      this.cameraEl?.emit("go-to-start", { source: this.attrName, point });
+    },
 
+    _closeTunnel() {
       this.tunnelEl = this.tunnelEl || this.el.sceneEl.querySelector("#tunnel");
       if (this.tunnelEl) {
         this.tunnelEl.removeAttribute("animation__down");
@@ -726,17 +2869,63 @@
           easing: this.data.easing,
         });
       }
+    },
 
-      const { position, rotation } = this.data;
-      const hasRotation =
-        Math.abs(rotation.x) + Math.abs(rotation.y) + Math.abs(rotation.z) >
-        0.001;
+    // Moves along `path` ({ curve, times, stops, duration, start } from
+    // _buildPath, or { curve, duration, start } for a curve walked at even
+    // speed). `look` is "path", a THREE.Vector3 or an entity to face, or
+    // null to turn to `rotation` like _navigateTo.
+    _followPath(path, look, rotation) {
+      const target = this._getMoveTarget();
+      if (!target) return;
+      this._closeTunnel();
+      this._emitMoveStart(path.curve.getPoint(1));
 
-      if (this.isVR) {
-        this._moveVR(position);
-      } else {
-        this._moveDesktop(position, hasRotation ? rotation : null);
+      this._moveTarget = target;
+      this._pathMove = { ...path, look, headOffset: null, vrApplied: null };
+      this._startQuat.copy(target.quaternion);
+      this._setEndRotation(this.isVR ? null : rotation);
+
+      const head = this.cameraEl?.object3D;
+      if (this.isVR && target === head) {
+        // Without a rig the headset owns the camera: shift the world instead
+        this._pathMove.vrApplied = new THREE.Vector3();
+      } else if (this.isVR && head) {
+        // Rig only: the head keeps its place inside the rig
+        target.updateMatrixWorld(true);
+        head.getWorldPosition(this._headOffset).sub(target.position).y = 0;
+        this._pathMove.headOffset = this._headOffset;
+      }
+
+      this.animating = true;
+      this.useVROffset = false;
+      this._animStart = performance.now();
+    },
+
+    // Where a path from here starts: the rig, or in VR the floor under the
+    // head (the rig follows the path offset by the head's place in it)
+    _getPathStart(target) {
+      const start = target.position.clone();
+      const head = this.cameraEl?.object3D;
+      if (this.isVR && head && head !== target) {
+        target.updateMatrixWorld(true);
+        head.getWorldPosition(this._tempVec).sub(target.position);
+        start.x += this._tempVec.x;
+        start.z += this._tempVec.z;
       }
+      return start;
+    },
+
+    // The rig (parent of camera) moves instead of the camera when there is one
+    _getMoveTarget() {
+      const cameraParent = this.cameraEl?.parentElement;
+      const rigEl =
+        cameraParent &&
+        cameraParent !== this.el.sceneEl &&
+        cameraParent.hasAttribute("id")
+          ? cameraParent
+          : null;
+      return rigEl?.object3D || this.cameraEl?.object3D;
     },
 
     _moveVR(targetPosition) {
@@ -763,41 +2952,33 @@
     },
 
     _moveDesktop(targetPosition, targetRotation) {
-      // Find the rig (parent of camera) - move rig instead of camera
-      const cameraParent = this.cameraEl?.parentElement;
-      const rigEl =
-        cameraParent &&
-        cameraParent !== this.el.sceneEl &&
-        cameraParent.hasAttribute("id")
-          ? cameraParent
-          : null;
-
-      const target = rigEl?.object3D || this.cameraEl?.object3D;
+      const target = this._getMoveTarget();
       if (!target) return;
 
       this._moveTarget = target;
       this._startPos.copy(target.position);
       this._endPos.set(targetPosition.x, targetPosition.y, targetPosition.z);
-
-      this._animateRotation = false;
-      if (targetRotation) {
-        this._animateRotation = true;
-        this._startQuat.copy(target.quaternion);
-        this._endQuat.setFromEuler(
-          new THREE.Euler(
-            THREE.MathUtils.degToRad(targetRotation.x),
-            THREE.MathUtils.degToRad(targetRotation.y),
-            THREE.MathUtils.degToRad(targetRotation.z),
-            "YXZ"
-          )
-        );
-      }
+      this._startQuat.copy(target.quaternion);
+      this._setEndRotation(targetRotation);
 
       this.animating = true;
       this.useVROffset = false;
       this._animStart = performance.now();
     },
 
+    _setEndRotation(rotation) {
+      this._animateRotation = !!rotation;
+      if (!rotation) return;
+      this._endQuat.setFromEuler(
+        new THREE.Euler(
+          THREE.MathUtils.degToRad(rotation.x),
+          THREE.MathUtils.degToRad(rotation.y),
+          THREE.MathUtils.degToRad(rotation.z),
+          "YXZ"
+        )
+      );
+    },
+
     _applyVROffset(offset) {
       const xrManager = this.el.sceneEl.renderer?.xr;
       if (!xrManager?.isPresenting) return;
@@ -815,13 +2996,16 @@
     tick() {
       if (!this.animating) return;
 
+      const duration = this._pathMove?.duration ?? this.data.duration;
       const progress = Math.min(
-        (performance.now() - this._animStart) / this.data.duration,
+        (performance.now() - this._animStart) / Math.max(duration, 1),
         1
       );
       const eased = easeInOutQuad(progress);
 
-      if (this.useVROffset && this._vrDelta) {
+      if (this._pathMove) {
+        this._updatePathMove(eased);
+      } else if (this.useVROffset && this._vrDelta) {
         const target = this._tempVec.copy(this._vrDelta).multiplyScalar(eased);
         const increment = new THREE.Vector3().subVectors(
           target,
@@ -851,10 +3035,90 @@
       }
     },
 
+    // Places the move target at `eased` (0-1) along the path
+    _updatePathMove(eased) {
+      const move = this._pathMove;
+      const target = this._moveTarget;
+      const point = this._tempVec;
+      // Share of the curve's length; even speed within each segment
+      let u = eased;
+      if (move.times) {
+        const time = eased * move.duration;
+        const segments = move.times.length - 1;
+        let i = 0;
+        while (i < segments - 1 && time > move.times[i + 1]) i++;
+        const length = move.times[i + 1] - move.times[i];
+        const local = length > 0 ? (time - move.times[i]) / length : 1;
+        u =
+          move.stops[i] +
+          (move.stops[i + 1] - move.stops[i]) * Math.min(Math.max(local, 0), 1);
+      }
+      move.curve.getPointAt(u, point);
+
+      if (move.vrApplied) {
+        // Shift the reference space by what the path moved since the start
+        const offset = point.sub(move.start);
+        const increment = offset.clone().sub(move.vrApplied);
+        if (increment.lengthSq() > 0.0001) {
+          this._applyVROffset(increment);
+          move.vrApplied.copy(offset);
+        }
+        return;
+      }
+      target.position.copy(point);
+      if (move.headOffset) target.position.sub(move.headOffset);
+      if (this.isVR) return;
+
+      const turnIn = Math.min(eased / DEFAULTS.PATH_TURN_IN, 1);
+      if (move.look) {
+        const yaw = this._getLookYaw(move, u);
+        if (yaw === null) return;
+        this._lookQuat.setFromAxisAngle(THREE.Object3D.DEFAULT_UP, yaw);
+        target.quaternion.slerpQuaternions(
+          this._startQuat,
+          this._lookQuat,
+          turnIn
+        );
+      } else if (this._animateRotation) {
+        target.quaternion.slerpQuaternions(
+          this._startQuat,
+          this._endQuat,
+          eased
+        );
+      }
+    },
+
+    // Rig yaw that makes the camera face along the path or towards the focus
+    _getLookYaw(move, u) {
+      const { look, curve } = move;
+      const camera = this.cameraEl.object3D;
+      let direction;
+      if (look === "path") {
+        direction = curve.getTangentAt(u, this._pathTangent);
+      } else {
+        const focus = look.isVector3
+          ? look
+          : look.object3D.getWorldPosition(this._focusPos);
+        this._moveTarget.updateMatrixWorld(true);
+        direction = camera.getWorldPosition(this._headOffset);
+        direction.subVectors(focus, direction);
+      }
+      if (Math.hypot(direction.x, direction.z) < 0.001) return null;
+
+      const yaw = Math.atan2(-direction.x, -direction.z);
+      if (camera === this._moveTarget) return yaw;
+      // The camera's own (look-controls) yaw adds to the rig's
+      return yaw - this._lookEuler.setFromQuaternion(camera.quaternion).y;
+    },
+
     _finishAnimation() {
       this.animating = false;
 
-      if (this.useVROffset && this._vrDelta) {
+      if (this._pathMove) {
+        this._updatePathMove(1);
+        this._pathMove = null;
+        this._animateRotation = false;
+      } else if (this.useVROffset && this._vrDelta) {
         const remaining = new THREE.Vector3().subVectors(
           this._vrDelta,
           this._vrApplied
@@ -879,7 +3143,154 @@
         });
       }
 
-      this.cameraEl?.emit("go-to-complete");
+      this.cameraEl?.emit("go-to-complete", { source: this.attrName });
+    },
+  };
+
+  AFRAME.registerComponent("go-to", {
+    ...goToMovement,
+    schema: {
+      position: { type: "vec3" },
+      rotation: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+      duration: { type: "number", default: DEFAULTS.GO_TO_DURATION },
+      easing: { type: "string", default: "easeInOutQuad" },
+      path: { type: "string", default: "" },
+      segmentDurations: { type: "string", default: "" },
+      lookAt: { type: "string", default: "" },
+    },
+
+    init() {
+      this.log = createLogger("[go-to]");
+      this._initMovement();
+
+      this._onClick = this._onClick.bind(this);
+      this.el.addEventListener("click", this._onClick);
+    },
+
+    _onClick(evt) {
+      if (!evt.detail?.intersection) return;
+
+      const { position, rotation } = this.data;
+      const hasRotation =
+        Math.abs(rotation.x) + Math.abs(rotation.y) + Math.abs(rotation.z) >
+        0.001;
+      const path = this.data.path && this._buildPath();
+      if (path) {
+        this._followPath(
+          path,
+          this._parseLookAt(),
+          hasRotation ? rotation : null
+        );
+      } else {
+        this._navigateTo(position, hasRotation ? rotation : null);
+      }
+    },
+
+    // Catmull-Rom curve from where the rig is through the path points, with
+    // the time each point is reached. Null if there are no points.
+    _buildPath() {
+      const target = this._getMoveTarget();
+      if (!target) return null;
+      const parts = this.data.path
+        .split("|")
+        .map((part) => part.trim())
+        .filter(Boolean);
+
+      // One entity: its curve, or its children as the points
+      const single = parts.length === 1 && this._findEntity(parts[0]);
+      const entityCurve = single?.components?.curve?.curve;
+      if (entityCurve) {
+        // A straight lead-in from where you are joins the curve
+        const start = this._getPathStart(target);
+        const curve = new THREE.CurvePath();
+        const first = entityCurve.getPoint(0);
+        if (start.distanceTo(first) > 0.001) {
+          curve.add(new THREE.LineCurve3(start.clone(), first));
+        }
+        curve.add(entityCurve);
+        return { curve, duration: this.data.duration, start };
+      }
+      const sources = single
+        ? Array.from(single.children).filter((child) => child.object3D)
+        : parts;
+
+      const points = [this._getPathStart(target)];
+      sources.forEach((source) => {
+        const point = this._parsePoint(source);
+        if (point) points.push(point);
+        else this.log("Path point not found:", source);
+      });
+      if (points.length < 2) return null;
+
+      // Given per segment, or the whole duration shared by segment length
+      const given = this.data.segmentDurations
+        .split("|")
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map(Number)
+        .filter(Number.isFinite);
+      const lengths = points
+        .slice(1)
+        .map((point, i) => point.distanceTo(points[i]));
+      const total = lengths.reduce((sum, length) => sum + length, 0);
+      const durations = lengths.map((length, i) =>
+        given.length === lengths.length
+          ? Math.max(given[i], 0)
+          : total > 0
+          ? (length / total) * this.data.duration
+          : 0
+      );
+      const times = [0];
+      durations.forEach((duration, i) => times.push(times[i] + duration));
+
+      // Share of the curve's length at each point
+      const curve = new THREE.CatmullRomCurve3(points, false, "centripetal");
+      curve.arcLengthDivisions = lengths.length * DEFAULTS.PATH_DIVISIONS;
+      const arc = curve.getLengths();
+      const arcTotal = arc[arc.length - 1];
+      const stops = points.map((point, i) =>
+        arcTotal > 0
+          ? arc[i * DEFAULTS.PATH_DIVISIONS] / arcTotal
+          : i / lengths.length
+      );
+
+      return {
+        curve,
+        times,
+        stops,
+        duration: times[times.length - 1],
+        start: points[0].clone(),
+      };
+    },
+
+    // "x y z" or an entity (its world position)
+    _parsePoint(source) {
+      if (typeof source !== "string") {
+        return source.object3D.getWorldPosition(new THREE.Vector3());
+      }
+      const numbers = source.split(/\s+/).map(Number);
+      if (numbers.length === 3 && numbers.every(Number.isFinite)) {
+        return new THREE.Vector3(...numbers);
+      }
+      const el = this._findEntity(source);
+      return el ? this._parsePoint(el) : null;
+    },
+
+    _findEntity(selector) {
+      if (!selector.startsWith("#")) return null;
+      return this.el.sceneEl.querySelector(selector);
+    },
+
+    // "path", a point or an entity to face; null turns to `rotation`
+    _parseLookAt() {
+      const { lookAt } = this.data;
+      if (!lookAt) return null;
+      if (lookAt === "path") return "path";
+      const entity = this._findEntity(lookAt);
+      if (entity) return entity;
+      const point = this._parsePoint(lookAt);
+      if (!point) this.log("lookAt not found:", lookAt);
+      return point;
     },
 
     remove() {
@@ -891,63 +3302,1341 @@
   // SAVE-POSITION-AND-ROTATION COMPONENT
   // ============================================================================
   AFRAME.registerComponent("save-position-and-rotation", {
-    init() {
-      this.cameraEl =
-        this.el.sceneEl.querySelector("[camera]") ||
-        this.el.sceneEl.querySelector("a-camera");
-      this.isVR = false;
+    ...goToMovement,
+    schema: {
+      restoreLast: { type: "boolean", default: false },
+      menu: { type: "boolean", default: true },
+      menuKey: { type: "string", default: DEFAULTS.BOOKMARK_MENU_KEY },
+      duration: { type: "number", default: DEFAULTS.GO_TO_DURATION },
+      easing: { type: "string", default: "easeInOutQuad" },
+    },
 
-      this.el.sceneEl.addEventListener("enter-vr", () => (this.isVR = true));
-      this.el.sceneEl.addEventListener("exit-vr", () => (this.isVR = false));
+    init() {
+      this.log = createLogger("[bookmarks]");
+      this._initMovement();
+      this.storageKey = DEFAULTS.BOOKMARK_STORAGE_PREFIX + location.pathname;
+      this.menuEl = null;
+      this.menuOpen = false;
+      this._euler = new THREE.Euler(0, 0, 0, "YXZ");
+      this._quat = new THREE.Quaternion();
+      this._migrateLegacyPose();
 
       this._saveInterval = setInterval(() => {
-        try {
-          const target = this.isVR
-            ? this.cameraEl?.object3D?.parent || this.cameraEl?.object3D
-            : this.cameraEl?.object3D;
-
-          if (target) {
-            const { x, y, z } = target.position;
-            localStorage.setItem("cameraPosition", JSON.stringify({ x, y, z }));
-          }
-          if (this.cameraEl) {
-            localStorage.setItem(
-              "cameraRotation",
-              JSON.stringify(this.cameraEl.getAttribute("rotation"))
-            );
-          }
-        } catch (e) {
-          // Storage unavailable
-        }
+        const pose = this._capturePose();
+        if (pose) this._write({ ...this._read(), last: pose });
       }, DEFAULTS.SAVE_INTERVAL);
+
+      if (this.data.restoreLast) {
+        const restore = () => this._restoreLast();
+        if (this.el.sceneEl.hasLoaded) restore();
+        else
+          this.el.sceneEl.addEventListener("loaded", restore, { once: true });
+      }
+
+      this._onKeyDown = (e) => {
+        if (!this.data.menu || e.target.closest?.("input, textarea")) return;
+        if (e.key.toLowerCase() === this.data.menuKey.toLowerCase()) {
+          this.toggleMenu();
+        }
+      };
+      this._onMenuButton = () => this.data.menu && this.toggleMenu();
+      window.addEventListener("keydown", this._onKeyDown);
+      DEFAULTS.BOOKMARK_MENU_BUTTONS.forEach((name) =>
+        this.el.sceneEl.addEventListener(name, this._onMenuButton)
+      );
     },
 
-    remove() {
-      clearInterval(this._saveInterval);
+    // ---- Storage: { last: pose, slots: { name: pose } } per scene URL ----
+
+    _read() {
+      try {
+        const stored = JSON.parse(localStorage.getItem(this.storageKey));
+        return { last: null, slots: {}, ...stored };
+      } catch (e) {
+        return { last: null, slots: {} };
+      }
     },
-  });
 
-  // ============================================================================
-  // DIAGNOSTIC (debug mode only)
-  // ============================================================================
-  if (isDebug()) {
-    window.TeleportDiagnostic = {
-      run() {
-        console.log("=== TELEPORT DIAGNOSTIC ===");
-        const scene = document.querySelector("a-scene");
-        const camera =
-          document.querySelector("[camera]") ||
-          document.querySelector("a-camera");
-        const teleport = camera?.components?.["a-cursor-teleport"];
-        console.table({
-          Scene: !!scene,
-          Camera: !!camera,
-          Cursor: !!document.querySelector("a-cursor"),
-          Navmeshes: document.querySelectorAll("[navmesh]").length,
-          VRMode: teleport?.isVR ?? "N/A",
-          CachedMeshes: teleport?._navmeshCache?.length ?? "N/A",
-        });
-        console.log("=== END ===");
+    _write(state) {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(state));
+      } catch (e) {
+        // Storage unavailable
+      }
+    },
+
+    // Older versions kept a single position and camera rotation for all
+    // scenes; it moves into this scene's bookmarks once and is then removed
+    _migrateLegacyPose() {
+      const positionKey = DEFAULTS.BOOKMARK_LEGACY_POSITION_KEY;
+      const rotationKey = DEFAULTS.BOOKMARK_LEGACY_ROTATION_KEY;
+      let position;
+      let rotation;
+      try {
+        position = JSON.parse(localStorage.getItem(positionKey));
+        rotation = JSON.parse(localStorage.getItem(rotationKey));
+      } catch (e) {
+        // Storage unavailable or not JSON: removed below
+      }
+
+      if (["x", "y", "z"].every((axis) => Number.isFinite(position?.[axis]))) {
+        const { x, y, z } = position;
+        const pose = {
+          position: { x, y, z },
+          head: { x, y, z },
+          yaw: Number.isFinite(rotation?.y) ? rotation.y : 0,
+          saved: Date.now(),
+        };
+        const state = this._read();
+        state.last = state.last || pose;
+        state.slots[DEFAULTS.BOOKMARK_LEGACY_NAME] =
+          state.slots[DEFAULTS.BOOKMARK_LEGACY_NAME] || pose;
+        this._write(state);
+        this.log("Moved the position saved by an older version to bookmarks");
+      }
+
+      try {
+        localStorage.removeItem(positionKey);
+        localStorage.removeItem(rotationKey);
+      } catch (e) {
+        // Storage unavailable
+      }
+    },
+
+    // Move target position (rig or camera), head position for VR jumps and
+    // the direction the camera looks, in degrees
+    _capturePose() {
+      const target = this._getMoveTarget();
+      if (!target) return null;
+
+      const head = this.cameraEl.object3D.getWorldPosition(this._tempVec);
+      this.cameraEl.object3D.getWorldQuaternion(this._quat);
+      this._euler.setFromQuaternion(this._quat, "YXZ");
+      const round = (n) => Math.round(n * 1000) / 1000;
+      return {
+        position: {
+          x: round(target.position.x),
+          y: round(target.position.y),
+          z: round(target.position.z),
+        },
+        head: { x: round(head.x), y: round(head.y), z: round(head.z) },
+        yaw: round(THREE.MathUtils.radToDeg(this._euler.y)),
+        saved: Date.now(),
+      };
+    },
+
+    // Rig rotation that makes the camera face the saved direction
+    _rigRotationFor(pose) {
+      const cameraObject = this.cameraEl.object3D;
+      const target = this._getMoveTarget();
+      if (target === cameraObject) return null;
+      this._euler.setFromQuaternion(cameraObject.quaternion, "YXZ");
+      const lookYaw = THREE.MathUtils.radToDeg(this._euler.y);
+      return { x: 0, y: pose.yaw - lookYaw, z: 0 };
+    },
+
+    _restoreLast() {
+      const { last } = this._read();
+      const target = this._getMoveTarget();
+      if (!last || !target) return;
+
+      target.position.set(last.position.x, last.position.y, last.position.z);
+      const rotation = this._rigRotationFor(last);
+      if (rotation) {
+        target.rotation.set(0, THREE.MathUtils.degToRad(rotation.y), 0);
+      }
+      this.log("Restored last pose");
+    },
+
+    // ---- JS API ----
+
+    // Saves the current pose; returns the bookmark name
+    saveBookmark(name) {
+      const state = this._read();
+      let bookmarkName = name;
+      for (let i = 1; !bookmarkName; i++) {
+        if (!state.slots[`Bookmark ${i}`]) bookmarkName = `Bookmark ${i}`;
+      }
+
+      const pose = this._capturePose();
+      if (!pose) return null;
+      state.slots[bookmarkName] = pose;
+      this._write(state);
+      this.el.emit("bookmark-saved", { name: bookmarkName });
+      this._renderMenu();
+      return bookmarkName;
+    },
+
+    // [{ name, saved }] oldest first
+    listBookmarks() {
+      return Object.entries(this._read().slots)
+        .map(([name, pose]) => ({ name, saved: pose.saved }))
+        .sort((a, b) => a.saved - b.saved);
+    },
+
+    // Moves like go-to; without a name goes back to the last saved pose
+    jumpTo(name) {
+      const state = this._read();
+      const pose = name ? state.slots[name] : state.last;
+      if (!pose) return false;
+
+      this._navigateTo(
+        this.isVR ? pose.head : pose.position,
+        this._rigRotationFor(pose)
+      );
+      this.el.emit("bookmark-jump", { name: name || null });
+      return true;
+    },
+
+    deleteBookmark(name) {
+      const state = this._read();
+      if (!state.slots[name]) return false;
+      delete state.slots[name];
+      this._write(state);
+      this.el.emit("bookmark-deleted", { name });
+      this._renderMenu();
+      return true;
+    },
+
+    // ---- In-scene menu ----
+
+    toggleMenu() {
+      if (this.menuOpen) {
+        this._closeMenu();
+        return;
+      }
+      // Built on every open and removed on close, so a hidden menu never
+      // catches cursor or teleport rays
+      this.menuEl = document.createElement("a-entity");
+      this.menuEl.classList.add("bookmark-menu");
+      this.el.sceneEl.appendChild(this.menuEl);
+
+      // Open in front of the camera, facing it
+      const cameraObject = this.cameraEl.object3D;
+      const position = cameraObject.getWorldPosition(new THREE.Vector3());
+      const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(
+        cameraObject.getWorldQuaternion(this._quat)
+      );
+      forward.y = 0;
+      forward.normalize();
+      position.addScaledVector(forward, DEFAULTS.BOOKMARK_MENU_DISTANCE);
+      this.menuEl.object3D.position.copy(position);
+      this.menuEl.object3D.rotation.set(
+        0,
+        Math.atan2(-forward.x, -forward.z),
+        0
+      );
+
+      this.menuOpen = true;
+      this._renderMenu();
+    },
+
+    _closeMenu() {
+      this.menuOpen = false;
+      this.menuEl?.parentNode?.removeChild(this.menuEl);
+      this.menuEl = null;
+    },
+
+    _renderMenu() {
+      if (!this.menuOpen) return;
+      while (this.menuEl.firstChild) {
+        this.menuEl.removeChild(this.menuEl.firstChild);
+      }
+
+      const rowHeight = DEFAULTS.BOOKMARK_ROW_HEIGHT;
+      const bookmarks = this.listBookmarks().slice(
+        -DEFAULTS.BOOKMARK_MENU_ROWS
+      );
+      const rows = bookmarks.length + 2;
+      const height = rows * rowHeight + 0.04;
+
+      const panel = document.createElement("a-entity");
+      panel.setAttribute("geometry", {
+        primitive: "plane",
+        width: 0.9,
+        height,
+      });
+      panel.setAttribute("material", {
+        color: "#222",
+        shader: "flat",
+        opacity: 0.85,
+        transparent: true,
+      });
+      panel.setAttribute("position", { x: 0, y: 0, z: -0.01 });
+      this.menuEl.appendChild(panel);
+
+      let y = height / 2 - rowHeight / 2 - 0.02;
+      const title = document.createElement("a-entity");
+      title.setAttribute("text", {
+        value: "Bookmarks",
+        align: "center",
+        width: 1.2,
+      });
+      title.setAttribute("position", { x: 0, y, z: 0 });
+      this.menuEl.appendChild(title);
+
+      bookmarks.forEach(({ name }) => {
+        y -= rowHeight;
+        this._createMenuButton(name, -0.1, y, 0.62, () => {
+          this._closeMenu();
+          this.jumpTo(name);
+        });
+        this._createMenuButton("Delete", 0.32, y, 0.18, () =>
+          this.deleteBookmark(name)
+        );
+      });
+
+      y -= rowHeight;
+      this._createMenuButton("Save here", 0, y, 0.82, () =>
+        this.saveBookmark()
+      );
+    },
+
+    _createMenuButton(label, x, y, width, onClick) {
+      const button = document.createElement("a-entity");
+      button.setAttribute("geometry", {
+        primitive: "plane",
+        width,
+        height: DEFAULTS.BOOKMARK_ROW_HEIGHT - 0.02,
+      });
+      button.setAttribute("material", { color: "#444", shader: "flat" });
+      button.setAttribute("text", {
+        value: label,
+        align: "center",
+        width: 1,
+      });
+      button.setAttribute("position", { x, y, z: 0 });
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      button.addEventListener("mouseenter", () =>
+        button.setAttribute("material", "color", "#666")
+      );
+      button.addEventListener("mouseleave", () =>
+        button.setAttribute("material", "color", "#444")
+      );
+      this.menuEl.appendChild(button);
+    },
+
+    remove() {
+      clearInterval(this._saveInterval);
+      window.removeEventListener("keydown", this._onKeyDown);
+      DEFAULTS.BOOKMARK_MENU_BUTTONS.forEach((name) =>
+        this.el.sceneEl.removeEventListener(name, this._onMenuButton)
+      );
+      this._closeMenu();
+    },
+  });
+
+  // ============================================================================
+  // TOUR COMPONENT
+  // ============================================================================
+  AFRAME.registerComponent("tour", {
+    ...goToMovement,
+    schema: {
+      stops: { type: "string", default: "" },
+      dwell: { type: "string", default: String(DEFAULTS.TOUR_DWELL) },
+      narration: { type: "string", default: "" },
+      autoplay: { type: "boolean", default: false },
+      loop: { type: "boolean", default: false },
+      duration: { type: "number", default: DEFAULTS.GO_TO_DURATION },
+      easing: { type: "string", default: "easeInOutQuad" },
+    },
+
+    init() {
+      this.log = createLogger("[tour]");
+      this._initMovement();
+      this.index = -1;
+      this.playing = false;
+      this._dwellTimer = null;
+      this._audio = null;
+      this._onNarrationEnded = null;
+
+      this._onKeyDown = (e) => {
+        if (e.target.closest?.("input, textarea")) return;
+        const key = e.key.toLowerCase();
+        if (DEFAULTS.TOUR_NEXT_KEYS.includes(key)) this.next();
+        else if (DEFAULTS.TOUR_PREVIOUS_KEYS.includes(key)) this.previous();
+        else if (DEFAULTS.TOUR_MANUAL_KEYS.includes(key)) this._takeOver();
+      };
+      this._onNextButton = () => this.next();
+      // Pushing the stick forward or back moves; sideways only turns
+      this._onThumbstick = (e) => {
+        if (Math.abs(e.detail.y) > DEFAULTS.TOUR_STICK_THRESHOLD) {
+          this._takeOver();
+        }
+      };
+      this._onSelfMove = () => this._takeOver();
+
+      window.addEventListener("keydown", this._onKeyDown);
+      DEFAULTS.TOUR_NEXT_BUTTONS.forEach((name) =>
+        this.el.sceneEl.addEventListener(name, this._onNextButton)
+      );
+      this.el.sceneEl.addEventListener("thumbstickmoved", this._onThumbstick);
+      // a-cursor-teleport emits these on the camera
+      this.cameraEl?.addEventListener("navigation-start", this._onSelfMove);
+      this.cameraEl?.addEventListener("locomotion-start", this._onSelfMove);
+
+      if (this.data.autoplay) {
+        if (this.el.sceneEl.hasLoaded) this.play();
+        else {
+          this.el.sceneEl.addEventListener("loaded", () => this.play(), {
+            once: true,
+          });
+        }
+      }
+    },
+
+    update() {
+      this.stops = this._parseStops();
+    },
+
+    // "#id" stops read the go-to component of that entity when they are used,
+    // so moving a waypoint in the inspector also moves the tour stop
+    _parseStops() {
+      const split = (value) => value.split("|").map((part) => part.trim());
+      const dwells = split(this.data.dwell);
+      const narrations = split(this.data.narration);
+
+      return split(this.data.stops)
+        .filter(Boolean)
+        .map((text, i) => {
+          const dwell = Number(dwells[dwells.length > 1 ? i : 0]);
+          const stop = {
+            text,
+            dwell: Number.isFinite(dwell) ? dwell : DEFAULTS.TOUR_DWELL,
+            narration: narrations[i] || "",
+            el: null,
+            position: null,
+            rotation: null,
+          };
+
+          const numbers = text.split(/\s+/).map(Number);
+          if (
+            numbers.every(Number.isFinite) &&
+            [3, 6].includes(numbers.length)
+          ) {
+            const [x, y, z, rx, ry, rz] = numbers;
+            stop.position = { x, y, z };
+            if (numbers.length === 6) stop.rotation = { x: rx, y: ry, z: rz };
+          } else {
+            stop.el = this.el.sceneEl.querySelector(text);
+            if (!stop.el) this.log("Stop not found:", text);
+          }
+          return stop;
+        });
+    },
+
+    _resolveStop(stop) {
+      if (!stop.el) return stop;
+      const goTo = stop.el.components?.["go-to"]?.data;
+      if (!goTo) return null;
+      const { rotation } = goTo;
+      const hasRotation =
+        Math.abs(rotation.x) + Math.abs(rotation.y) + Math.abs(rotation.z) >
+        0.001;
+      return {
+        ...stop,
+        position: goTo.position,
+        rotation: hasRotation ? rotation : null,
+      };
+    },
+
+    // ---- JS API ----
+
+    play() {
+      if (!this.stops.length) return;
+      const starting = this.index < 0;
+      this.playing = true;
+      this.el.emit("tour-start", { index: Math.max(this.index, 0) });
+      if (starting) this.goTo(0);
+      else if (!this.animating) this._scheduleAdvance();
+    },
+
+    pause() {
+      if (!this.playing) return;
+      this.playing = false;
+      this._clearAdvance();
+      this._audio?.pause();
+      this.el.emit("tour-pause", { index: this.index });
+    },
+
+    next() {
+      if (this.index + 1 < this.stops.length) this.goTo(this.index + 1);
+      else if (this.data.loop) this.goTo(0);
+    },
+
+    previous() {
+      if (this.index > 0) this.goTo(this.index - 1);
+    },
+
+    goTo(index) {
+      const stop = this.stops[index] && this._resolveStop(this.stops[index]);
+      if (!stop) {
+        this.log("Cannot go to stop", index);
+        return;
+      }
+
+      this._clearAdvance();
+      this._stopNarration();
+      if (this.index >= 0) this._emitStopEvent("tour-leave", this.index);
+
+      this.index = index;
+      this._navigateTo(stop.position, stop.rotation);
+      this.log("Going to stop", index, stop.text);
+    },
+
+    // ---- Internals ----
+
+    // Called by goToMovement when the move ends
+    _finishAnimation() {
+      goToMovement._finishAnimation.call(this);
+      this._emitStopEvent("tour-arrive", this.index);
+      this._playNarration(this.stops[this.index]);
+      if (this.playing) this._scheduleAdvance();
+    },
+
+    _emitStopEvent(name, index) {
+      const el = this.stops[index]?.el || null;
+      this.el.emit(name, { index, el });
+      el?.emit(name, { index }, false);
+    },
+
+    // Moves on once the dwell time has passed and the narration has ended
+    _scheduleAdvance() {
+      this._clearAdvance();
+      const stop = this.stops[this.index];
+      if (!stop) return;
+
+      let waiting = 2;
+      const done = () => {
+        waiting--;
+        if (waiting > 0) return;
+        this._clearAdvance();
+        if (this.index + 1 < this.stops.length || this.data.loop) {
+          this.next();
+        } else {
+          this.playing = false;
+          this.el.emit("tour-end", { index: this.index });
+        }
+      };
+
+      this._dwellTimer = setTimeout(done, stop.dwell);
+      if (this._audio && !this._audio.ended) {
+        this._onNarrationEnded = done;
+        this._audio.addEventListener("ended", done, { once: true });
+        if (this._audio.paused) this._audio.play().catch(() => done());
+      } else {
+        done();
+      }
+    },
+
+    _clearAdvance() {
+      clearTimeout(this._dwellTimer);
+      this._dwellTimer = null;
+      if (this._audio && this._onNarrationEnded) {
+        this._audio.removeEventListener("ended", this._onNarrationEnded);
+      }
+      this._onNarrationEnded = null;
+    },
+
+    _playNarration(stop) {
+      if (!stop?.narration) return;
+      const source = stop.narration;
+      const element = /^[#.]/.test(source)
+        ? this.el.sceneEl.querySelector(source)
+        : null;
+      this._audio =
+        element instanceof HTMLMediaElement ? element : new Audio(source);
+      this._audio.currentTime = 0;
+      // Browsers may block audio before the first click; the tour goes on
+      this._audio
+        .play()
+        .catch((err) => this.log("Narration blocked:", err.message));
+    },
+
+    _stopNarration() {
+      if (!this._audio) return;
+      this._audio.pause();
+      this._audio = null;
+    },
+
+    // The user moved on their own: stop driving the camera
+    _takeOver() {
+      if (!this.playing && !this.animating) return;
+      this.animating = false;
+      this.pause();
+    },
+
+    remove() {
+      this._clearAdvance();
+      this._stopNarration();
+      window.removeEventListener("keydown", this._onKeyDown);
+      DEFAULTS.TOUR_NEXT_BUTTONS.forEach((name) =>
+        this.el.sceneEl.removeEventListener(name, this._onNextButton)
+      );
+      this.el.sceneEl.removeEventListener(
+        "thumbstickmoved",
+        this._onThumbstick
+      );
+      this.cameraEl?.removeEventListener("navigation-start", this._onSelfMove);
+      this.cameraEl?.removeEventListener("locomotion-start", this._onSelfMove);
+    },
+  });
+
+  // ============================================================================
+  // MULTI-USER COMPONENT
+  // ============================================================================
+  AFRAME.registerComponent("multi-user", {
+    ...goToMovement,
+    schema: {
+      relay: { type: "string", default: DEFAULTS.RELAY_PATH },
+      room: { type: "string", default: "" },
+      name: { type: "string", default: "" },
+      color: { type: "string", default: "" },
+      rate: { type: "number", default: DEFAULTS.SHARE_RATE },
+      gatherKey: { type: "string", default: DEFAULTS.GATHER_KEY },
+      acceptGather: { type: "boolean", default: true },
+      duration: { type: "number", default: DEFAULTS.GO_TO_DURATION },
+      easing: { type: "string", default: "easeInOutQuad" },
+    },
+
+    init() {
+      this.log = createLogger("[multi-user]");
+      this._initMovement();
+      this.id = Math.random().toString(36).slice(2, 10);
+      this.peers = new Map(); // id -> { name, color, avatar, pose }
+      this._lastSend = -Infinity;
+      this._lastMessage = null;
+      this._sending = false;
+      this._relayFailed = false;
+      this._euler = new THREE.Euler(0, 0, 0, "YXZ");
+      this._pos = new THREE.Vector3();
+      this._quat = new THREE.Quaternion();
+
+      const room = this.data.room || location.pathname;
+      this._query = "room=" + encodeURIComponent(room);
+      this._connect();
+
+      this._onKeyDown = (e) => {
+        if (!this.data.gatherKey || e.target.closest?.("input, textarea")) {
+          return;
+        }
+        if (e.key.toLowerCase() === this.data.gatherKey.toLowerCase()) {
+          this.gather();
+        }
+      };
+      window.addEventListener("keydown", this._onKeyDown);
+    },
+
+    _getName() {
+      return this.data.name || "Guest " + this.id.slice(0, 4);
+    },
+
+    _getColor() {
+      if (this.data.color) return this.data.color;
+      return (
+        "#" +
+        new THREE.Color().setHSL(this._hue(this.id), 0.7, 0.55).getHexString()
+      );
+    },
+
+    // Stable 0-1 hue for an id
+    _hue(id) {
+      let hash = 0;
+      for (const char of id) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+      return hash / 360;
+    },
+
+    // ---- Relay ----
+
+    _connect() {
+      const url = `${this.data.relay}/events?${this._query}&id=${this.id}`;
+      // EventSource reconnects by itself; the relay then resends the peers
+      this._source = new EventSource(url);
+      this._source.addEventListener("peers", (e) => {
+        const { peers } = JSON.parse(e.data);
+        const ids = new Set(peers.map((pose) => pose.id));
+        [...this.peers.keys()]
+          .filter((id) => !ids.has(id))
+          .forEach((id) => this._removePeer(id));
+        peers.forEach((pose) => this._updatePeer(pose));
+      });
+      this._source.addEventListener("pose", (e) =>
+        this._updatePeer(JSON.parse(e.data))
+      );
+      this._source.addEventListener("leave", (e) =>
+        this._removePeer(JSON.parse(e.data).id)
+      );
+      this._source.addEventListener("gather", (e) =>
+        this._onGather(JSON.parse(e.data))
+      );
+      this._source.addEventListener("open", () => {
+        this.log("Connected to", this.data.relay, "as", this.id);
+        this._relayFailed = false;
+        this._lastMessage = null; // Make sure the relay has our pose
+      });
+      this._source.addEventListener("error", () => {
+        if (!this._relayFailed) this.log("Relay not reachable:", url);
+        this._relayFailed = true;
+      });
+    },
+
+    _post(message) {
+      return fetch(`${this.data.relay}/send?${this._query}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...message, id: this.id }),
+        keepalive: message.type === "leave",
+      });
+    },
+
+    // ---- Sending ----
+
+    tick(time, delta) {
+      goToMovement.tick.call(this, time, delta);
+      this._updateAvatars();
+
+      if (this._sending || this._relayFailed) return;
+      if (time - this._lastSend < 1000 / Math.max(this.data.rate, 0.1)) return;
+      this._lastSend = time;
+
+      const pose = this._capturePose();
+      if (!pose) return;
+      const message = JSON.stringify(pose);
+      if (message === this._lastMessage) return;
+
+      this._sending = true;
+      this._post(pose)
+        .then(() => (this._lastMessage = message))
+        .catch((err) => this.log("Sending pose failed:", err.message))
+        .finally(() => (this._sending = false));
+    },
+
+    // Rig position and yaw, head and (in VR) hand poses in world space,
+    // rounded to mm
+    _capturePose() {
+      const rig = this._getMoveTarget();
+      const head = this.cameraEl?.object3D;
+      if (!rig || !head) return null;
+
+      const round = (n) => Math.round(n * 1000) / 1000;
+      const worldPose = (obj) => {
+        obj.getWorldPosition(this._pos);
+        obj.getWorldQuaternion(this._quat);
+        return [...this._pos.toArray(), ...this._quat.toArray()].map(round);
+      };
+      this._euler.setFromQuaternion(rig.quaternion);
+
+      const hands = this.isVR
+        ? Array.from(
+            this.el.sceneEl.querySelectorAll(DEFAULTS.HAND_SOURCE_SELECTOR)
+          )
+            .filter((el) => el.object3D.visible)
+            .slice(0, 2)
+            .map((el) => worldPose(el.object3D))
+        : [];
+
+      return {
+        type: "pose",
+        name: this._getName(),
+        color: this._getColor(),
+        rig: [...rig.position.toArray(), this._euler.y].map(round),
+        head: worldPose(head),
+        hands,
+      };
+    },
+
+    // ---- Avatars ----
+
+    _updatePeer(pose) {
+      if (pose.id === this.id) return;
+      let peer = this.peers.get(pose.id);
+      if (!peer) {
+        peer = { name: pose.name, color: pose.color, avatar: null };
+        this.peers.set(pose.id, peer);
+        this.log("Joined:", pose.name);
+        this.el.emit("peer-join", { id: pose.id, name: pose.name });
+      }
+      if (
+        !peer.avatar ||
+        peer.name !== pose.name ||
+        peer.color !== pose.color
+      ) {
+        this._removeAvatar(peer);
+        peer.name = pose.name;
+        peer.color = pose.color;
+        peer.avatar = this._createAvatar(peer);
+        peer.pose = pose; // Appear in place, no glide from the origin
+        this._updateAvatar(peer.avatar, pose, 1);
+      }
+      peer.pose = pose;
+    },
+
+    _removePeer(id) {
+      const peer = this.peers.get(id);
+      if (!peer) return;
+      this._removeAvatar(peer);
+      this.peers.delete(id);
+      this.log("Left:", peer.name);
+      this.el.emit("peer-leave", { id, name: peer.name });
+    },
+
+    // Plain meshes (not entities) kept out of teleport raycasts
+    _createAvatar({ name, color }) {
+      const material = new THREE.MeshStandardMaterial({ color });
+      const root = new THREE.Group();
+
+      const head = new THREE.Mesh(
+        new THREE.SphereGeometry(DEFAULTS.AVATAR_HEAD_RADIUS, 16, 12),
+        material
+      );
+      // Visor shows where they look (-Z)
+      const visor = new THREE.Mesh(
+        new THREE.BoxGeometry(0.16, 0.05, 0.04),
+        new THREE.MeshStandardMaterial({ color: "#222" })
+      );
+      visor.position.set(0, 0.01, -DEFAULTS.AVATAR_HEAD_RADIUS);
+      head.add(visor);
+      root.add(head);
+
+      const size = DEFAULTS.AVATAR_HAND_SIZE;
+      const hands = [0, 1].map(() => {
+        const hand = new THREE.Mesh(
+          new THREE.BoxGeometry(size, size / 2, size * 1.5),
+          material
+        );
+        hand.visible = false;
+        root.add(hand);
+        return hand;
+      });
+
+      const canvas = document.createElement("canvas");
+      canvas.width = 256;
+      canvas.height = 64;
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = color;
+      ctx.font = "bold 36px sans-serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(name, canvas.width / 2, canvas.height / 2);
+      const label = new THREE.Sprite(
+        new THREE.SpriteMaterial({
+          map: new THREE.CanvasTexture(canvas),
+          transparent: true,
+        })
+      );
+      label.scale.set(0.5, 0.125, 1);
+      root.add(label);
+
+      root.traverse((obj) => (obj.userData.raycastExclude = true));
+      this.el.sceneEl.object3D.add(root);
+      return { root, head, hands, label };
+    },
+
+    _removeAvatar(peer) {
+      if (!peer.avatar) return;
+      const { root } = peer.avatar;
+      root.parent?.remove(root);
+      root.traverse((obj) => {
+        obj.geometry?.dispose();
+        obj.material?.map?.dispose();
+        obj.material?.dispose();
+      });
+      peer.avatar = null;
+    },
+
+    _updateAvatars() {
+      this.peers.forEach((peer) => {
+        if (peer.avatar && peer.pose) {
+          this._updateAvatar(
+            peer.avatar,
+            peer.pose,
+            DEFAULTS.AVATAR_LERP_FACTOR
+          );
+        }
+      });
+    },
+
+    // Moves an avatar `factor` of the way to its latest pose
+    _updateAvatar(avatar, pose, factor) {
+      const follow = (obj, values, amount = factor) => {
+        this._pos.fromArray(values, 0);
+        this._quat.fromArray(values, 3);
+        obj.position.lerp(this._pos, amount);
+        obj.quaternion.slerp(this._quat, amount);
+      };
+      follow(avatar.head, pose.head);
+      avatar.hands.forEach((hand, i) => {
+        const values = pose.hands?.[i];
+        // A hand that just appeared starts where it is, not where it was
+        if (values && !hand.visible) follow(hand, values, 1);
+        hand.visible = !!values;
+        if (values) follow(hand, values);
+      });
+      avatar.label.position.copy(avatar.head.position).y +=
+        DEFAULTS.AVATAR_NAME_HEIGHT;
+    },
+
+    // ---- Gather ----
+
+    // Brings everyone in the room in front of you
+    gather() {
+      const pose = this._capturePose();
+      if (!pose) return;
+      this.log("Gathering", this.peers.size, "others");
+      this._post({
+        type: "gather",
+        name: this._getName(),
+        rig: pose.rig,
+        head: pose.head,
+      }).catch((err) => this.log("Gather failed:", err.message));
+    },
+
+    // Goes to this participant's place on an arc in front of the one
+    // gathering, facing them
+    _onGather({ id, name, rig, head }) {
+      if (!this.data.acceptGather || !rig || !head) return;
+      const ids = [...this.peers.keys(), this.id]
+        .filter((peerId) => peerId !== id)
+        .sort();
+      const slot = ids.indexOf(this.id) - (ids.length - 1) / 2;
+
+      const [hx, , hz] = head;
+      this._euler.setFromQuaternion(this._quat.fromArray(head, 3));
+      const angle =
+        this._euler.y +
+        THREE.MathUtils.degToRad(slot * DEFAULTS.GATHER_SPACING);
+      const x = hx - Math.sin(angle) * DEFAULTS.GATHER_RADIUS;
+      const z = hz - Math.cos(angle) * DEFAULTS.GATHER_RADIUS;
+
+      // In VR go-to moves the head to the target, on desktop the rig
+      let y = rig[1];
+      const target = this._getMoveTarget();
+      if (this.isVR && target) {
+        y +=
+          this.cameraEl.object3D.getWorldPosition(this._pos).y -
+          target.position.y;
+      }
+      // The camera's own (look-controls) yaw adds to the rig's, as for
+      // bookmarks; without a rig look-controls owns the rotation
+      const camera = this.cameraEl.object3D;
+      const yaw = THREE.MathUtils.radToDeg(Math.atan2(x - hx, z - hz));
+      const lookYaw = THREE.MathUtils.radToDeg(
+        this._euler.setFromQuaternion(camera.quaternion).y
+      );
+      const rotation =
+        target === camera ? null : { x: 0, y: yaw - lookYaw, z: 0 };
+
+      this.log("Gathered by", name);
+      this.el.emit("gathered", { id, name });
+      this._navigateTo({ x, y, z }, rotation);
+    },
+
+    remove() {
+      window.removeEventListener("keydown", this._onKeyDown);
+      this._source?.close();
+      if (!this._relayFailed) this._post({ type: "leave" }).catch(() => {});
+      [...this.peers.keys()].forEach((id) => this._removePeer(id));
+    },
+  });
+
+  // ============================================================================
+  // NAVIGATION-TELEMETRY COMPONENT
+  // ============================================================================
+  AFRAME.registerComponent("navigation-telemetry", {
+    schema: {
+      enabled: { type: "boolean", default: true },
+      sampleInterval: {
+        type: "number",
+        default: DEFAULTS.TELEMETRY_SAMPLE_INTERVAL,
+      },
+      maxEntries: { type: "number", default: DEFAULTS.TELEMETRY_MAX_ENTRIES },
+      heatmapCell: { type: "number", default: DEFAULTS.HEATMAP_CELL },
+    },
+
+    init() {
+      this.log = createLogger("[telemetry]");
+      this.cameraEl =
+        this.el.sceneEl.querySelector("[camera]") ||
+        this.el.sceneEl.querySelector("a-camera");
+      // { time, type, source, x, y, z, yaw, detail, duration }: time in ms
+      // since the start, duration the ms a sample was stood still
+      this.entries = [];
+      this.startedAt = new Date().toISOString();
+      this._start = performance.now();
+      this._lastSample = -Infinity;
+      this._overlay = null;
+      this._overlayDirty = false;
+      this._lastOverlayUpdate = -Infinity;
+      this._pos = new THREE.Vector3();
+      this._euler = new THREE.Euler(0, 0, 0, "YXZ");
+      this._quat = new THREE.Quaternion();
+      this._matrix = new THREE.Matrix4();
+      this._color = new THREE.Color();
+      // Overlay totals, kept up to date as entries are added and dropped so
+      // the overlay update does not go through the whole recording
+      this._cells = new Map(); // Heatmap key -> { cx, cz, y, weight }
+      this._trail = { positions: new Float32Array(0), count: 0 };
+
+      this._onEvent = (e) => this._record(e.type, e.detail || {});
+      DEFAULTS.TELEMETRY_EVENTS.forEach((name) =>
+        this.cameraEl?.addEventListener(name, this._onEvent)
+      );
+      if (isDebug()) this.showOverlay(true);
+    },
+
+    update(oldData) {
+      // The totals depend on the cell size and on the sample interval
+      if (
+        oldData.heatmapCell !== undefined &&
+        (oldData.heatmapCell !== this.data.heatmapCell ||
+          oldData.sampleInterval !== this.data.sampleInterval)
+      ) {
+        this._rebuildTotals();
+      }
+    },
+
+    tick(time) {
+      const interval = this.data.sampleInterval;
+      if (interval > 0 && time - this._lastSample >= interval) {
+        this._lastSample = time;
+        this._record("sample", {});
+      }
+
+      if (
+        this._overlayDirty &&
+        time - this._lastOverlayUpdate >= DEFAULTS.OVERLAY_UPDATE_INTERVAL
+      ) {
+        this._lastOverlayUpdate = time;
+        this._updateOverlay();
+      }
+    },
+
+    // Adds an entry at the event's floor point, or where the player stands
+    _record(type, detail) {
+      if (!this.data.enabled || !this.cameraEl) return;
+
+      const head = this.cameraEl.object3D;
+      const yaw = this._euler.setFromQuaternion(
+        head.getWorldQuaternion(this._quat)
+      ).y;
+      let point = detail.point;
+      if (!point) {
+        point = this._getFeetPosition();
+        // Samples while standing still add nothing to the trail
+        const last = this.entries[this.entries.length - 1];
+        if (
+          type === "sample" &&
+          last?.type === "sample" &&
+          Math.hypot(last.x - point.x, last.z - point.z) < 0.01
+        ) {
+          const weight = this._getVisitWeight(last);
+          last.duration = (last.duration || 0) + this.data.sampleInterval;
+          this._addVisit(last, this._getVisitWeight(last) - weight);
+          this._overlayDirty = true;
+          return;
+        }
+      }
+
+      const round = (n) => Math.round(n * 1000) / 1000;
+      const entry = {
+        time: Math.round(performance.now() - this._start),
+        type,
+        source: detail.source ?? "",
+        x: round(point.x),
+        y: round(point.y),
+        z: round(point.z),
+        yaw: round(THREE.MathUtils.radToDeg(yaw)),
+        detail: detail.reason || detail.region || "",
+      };
+      this.entries.push(entry);
+      this._addToTotals(entry);
+      if (this.entries.length > this.data.maxEntries) {
+        this._dropEntries(this.entries.length - this.data.maxEntries);
+      }
+      this._overlayDirty = true;
+      if (type !== "sample") this.log(type, detail.source ?? "", point);
+    },
+
+    // Under the head, at the rig's height (or the camera's minus its height)
+    _getFeetPosition() {
+      const head = this.cameraEl.object3D;
+      const point = head.getWorldPosition(this._pos).clone();
+      const rig = this.cameraEl.parentElement;
+      if (rig && rig !== this.el.sceneEl) {
+        point.y = rig.object3D.getWorldPosition(this._pos).y;
+      } else {
+        point.y -=
+          this.cameraEl.components["a-cursor-teleport"]?.data.cameraHeight ??
+          DEFAULTS.CAMERA_HEIGHT;
+      }
+      return point;
+    },
+
+    clear() {
+      this.entries = [];
+      this.startedAt = new Date().toISOString();
+      this._start = performance.now();
+      this._rebuildTotals();
+    },
+
+    // ---- Overlay totals ----
+
+    // Samples stood still count once per interval (none when sampling is off)
+    _getVisitWeight(entry) {
+      if (!DEFAULTS.HEATMAP_TYPES.includes(entry.type)) return 0;
+      const interval = this.data.sampleInterval;
+      return 1 + (interval > 0 ? (entry.duration || 0) / interval : 0);
+    },
+
+    // Adds `weight` (negative to take it away) to the entry's heatmap cell
+    _addVisit(entry, weight) {
+      if (!weight) return;
+      const cell = this.data.heatmapCell;
+      const cx = Math.floor(entry.x / cell);
+      const cz = Math.floor(entry.z / cell);
+      const key = `${cx},${cz},${Math.round(entry.y / cell)}`;
+      const visit = this._cells.get(key) || { cx, cz, y: entry.y, weight: 0 };
+      visit.weight += weight;
+      if (visit.weight > 1e-6) this._cells.set(key, visit);
+      else this._cells.delete(key);
+    },
+
+    _addToTotals(entry) {
+      this._addVisit(entry, this._getVisitWeight(entry));
+      if (entry.type === "navigation-rejected") return;
+
+      // Trail points, grown in steps like the heatmap
+      const trail = this._trail;
+      if (trail.positions.length < (trail.count + 1) * 3) {
+        const grown = new Float32Array(
+          Math.max(trail.positions.length * 2, 96)
+        );
+        grown.set(trail.positions);
+        trail.positions = grown;
+      }
+      trail.positions[trail.count * 3] = entry.x;
+      trail.positions[trail.count * 3 + 1] =
+        entry.y + DEFAULTS.HEATMAP_Y_OFFSET * 2;
+      trail.positions[trail.count * 3 + 2] = entry.z;
+      trail.count++;
+    },
+
+    // Drops the oldest entries and takes them out of the totals
+    _dropEntries(count) {
+      let points = 0;
+      this.entries.splice(0, count).forEach((entry) => {
+        this._addVisit(entry, -this._getVisitWeight(entry));
+        if (entry.type !== "navigation-rejected") points++;
+      });
+      const trail = this._trail;
+      trail.positions.copyWithin(0, points * 3, trail.count * 3);
+      trail.count -= points;
+    },
+
+    _rebuildTotals() {
+      this._cells.clear();
+      this._trail.count = 0;
+      this.entries.forEach((entry) => this._addToTotals(entry));
+      this._overlayDirty = true;
+    },
+
+    // ---- Export ----
+
+    toJSON() {
+      return {
+        scene: location.pathname,
+        startedAt: this.startedAt,
+        sampleInterval: this.data.sampleInterval,
+        entries: this.entries,
+      };
+    },
+
+    toCSV() {
+      const columns = DEFAULTS.TELEMETRY_CSV_COLUMNS;
+      const escape = (value) => {
+        const text = String(value ?? "");
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      return [columns.join(",")]
+        .concat(
+          this.entries.map((entry) =>
+            columns.map((column) => escape(entry[column])).join(",")
+          )
+        )
+        .join("\n");
+    },
+
+    // Saves the recording as a file ("json" or "csv")
+    download(format = "json") {
+      const csv = format === "csv";
+      const blob = new Blob(
+        [csv ? this.toCSV() : JSON.stringify(this.toJSON(), null, 2)],
+        { type: csv ? "text/csv" : "application/json" }
+      );
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      const stamp = this.startedAt.replace(/[:.]/g, "-");
+      link.download = `telemetry-${stamp}.${csv ? "csv" : "json"}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    // ---- Debug overlay: visit heatmap and trail ----
+
+    showOverlay(show) {
+      if (!show) {
+        this._removeOverlay();
+        return;
+      }
+      if (this._overlay) return;
+
+      const cell = this.data.heatmapCell;
+      const tile = new THREE.PlaneGeometry(cell * 0.95, cell * 0.95);
+      tile.rotateX(-Math.PI / 2);
+      const heatmap = new THREE.InstancedMesh(
+        tile,
+        new THREE.MeshBasicMaterial({
+          transparent: true,
+          opacity: DEFAULTS.HEATMAP_OPACITY,
+          depthWrite: false,
+        }),
+        1
+      );
+      heatmap.count = 0;
+      heatmap.frustumCulled = false;
+
+      const trail = new THREE.Line(
+        new THREE.BufferGeometry(),
+        new THREE.LineBasicMaterial({ color: DEFAULTS.TRAIL_COLOR })
+      );
+      trail.frustumCulled = false;
+
+      this._overlay = { heatmap, trail };
+      [heatmap, trail].forEach((obj) => {
+        obj.userData.raycastExclude = true;
+        this.el.sceneEl.object3D.add(obj);
+      });
+      this._updateOverlay();
+    },
+
+    _removeOverlay() {
+      if (!this._overlay) return;
+      Object.values(this._overlay).forEach((obj) => {
+        obj.parent?.remove(obj);
+        obj.geometry.dispose();
+        obj.material.dispose();
+      });
+      this._overlay = null;
+    },
+
+    _updateOverlay() {
+      this._overlayDirty = false;
+      if (!this._overlay) return;
+      const y = DEFAULTS.HEATMAP_Y_OFFSET;
+
+      // Time spent per floor cell (an event counts as one sample)
+      const cell = this.data.heatmapCell;
+      const cells = this._cells;
+      let heatmap = this._overlay.heatmap;
+      if (heatmap.instanceMatrix.count < cells.size) {
+        // Grown in steps so walking around does not rebuild it every update
+        const grown = new THREE.InstancedMesh(
+          heatmap.geometry,
+          heatmap.material,
+          Math.max(cells.size, heatmap.instanceMatrix.count * 2)
+        );
+        grown.frustumCulled = false;
+        grown.userData.raycastExclude = true;
+        heatmap.parent?.remove(heatmap);
+        heatmap.dispose();
+        this.el.sceneEl.object3D.add(grown);
+        heatmap = this._overlay.heatmap = grown;
+      }
+
+      let max = 1;
+      cells.forEach((visit) => (max = Math.max(max, visit.weight)));
+      let i = 0;
+      cells.forEach((visit) => {
+        this._matrix.makeTranslation(
+          (visit.cx + 0.5) * cell,
+          visit.y + y,
+          (visit.cz + 0.5) * cell
+        );
+        heatmap.setMatrixAt(i, this._matrix);
+        // Blue (few visits) to red (most)
+        heatmap.setColorAt(
+          i,
+          this._color.setHSL(0.66 * (1 - visit.weight / max), 1, 0.5)
+        );
+        i++;
+      });
+      heatmap.count = cells.size;
+      heatmap.instanceMatrix.needsUpdate = true;
+      if (heatmap.instanceColor) heatmap.instanceColor.needsUpdate = true;
+
+      const geometry = this._overlay.trail.geometry;
+      const { positions, count } = this._trail;
+      const attribute = geometry.getAttribute("position");
+      if (attribute?.array === positions) {
+        attribute.needsUpdate = true;
+      } else {
+        geometry.setAttribute(
+          "position",
+          new THREE.BufferAttribute(positions, 3)
+        );
+      }
+      geometry.setDrawRange(0, count);
+    },
+
+    remove() {
+      DEFAULTS.TELEMETRY_EVENTS.forEach((name) =>
+        this.cameraEl?.removeEventListener(name, this._onEvent)
+      );
+      this._removeOverlay();
+    },
+  });
+
+  // ============================================================================
+  // DIAGNOSTIC (debug mode only)
+  // ============================================================================
+  if (isDebug()) {
+    const getTelemetry = () =>
+      document.querySelector("[navigation-telemetry]")?.components[
+        "navigation-telemetry"
+      ];
+
+    window.TeleportDiagnostic = {
+      run() {
+        console.log("=== TELEPORT DIAGNOSTIC ===");
+        const scene = document.querySelector("a-scene");
+        const camera =
+          document.querySelector("[camera]") ||
+          document.querySelector("a-camera");
+        const teleport = camera?.components?.["a-cursor-teleport"];
+        console.table({
+          Scene: !!scene,
+          Camera: !!camera,
+          Cursor: !!document.querySelector("a-cursor"),
+          Navmeshes: document.querySelectorAll("[navmesh]").length,
+          VRMode: teleport?.isVR ?? "N/A",
+          CachedMeshes: teleport?._navmeshCache?.length ?? "N/A",
+          Telemetry: getTelemetry()?.entries.length ?? "N/A",
+        });
+        console.log("=== END ===");
+      },
+
+      // Heatmap and trail of the navigation-telemetry recording
+      overlay(show = true) {
+        getTelemetry()?.showOverlay(show);
+      },
+
+      download(format = "json") {
+        getTelemetry()?.download(format);
       },
     };
     document.addEventListener("DOMContentLoaded", () => {
@@ -0,0 +1,459 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  isIgnoredPath,
+  getScriptInfo,
+  getHtmlFiles,
+} = require("./generate-listing");
+
+// Duplicate component report: finds the component scripts copied around the
+// student folders, compares every copy with the shared version in
+// _Example (hash + line diff) and can point the scenes at the shared file.
+//
+//   node component-report.js                  report
+//   node component-report.js --json           report as JSON
+//   node component-report.js --diff <file>    line diff of one copy
+//   node component-report.js --rewrite        load the shared file instead of
+//                                             identical copies
+//   node component-report.js --rewrite --force   ... and of drifted copies
+
+// Folders holding the shared (canonical) versions
+const CANONICAL_DIRS = ["_Example/components", "_Example/shaders"];
+
+// Largest line diff computed exactly (lines of copy x lines of canonical)
+const MAX_DIFF_CELLS = 16000000;
+
+// Function to read a script with its hash and lines
+function readScript(baseDir, relativePath) {
+  const source = fs.readFileSync(path.join(baseDir, relativePath), "utf8");
+  const { components, shaders, primitives } = getScriptInfo(
+    path.join(baseDir, relativePath)
+  ).registrations;
+
+  return {
+    path: relativePath,
+    hash: crypto.createHash("md5").update(source).digest("hex"),
+    lines: source.replace(/\r\n/g, "\n").split("\n"),
+    registers: [...components, ...shaders, ...primitives],
+  };
+}
+
+// Function to find every script in the project that registers a component,
+// shader or primitive
+function findComponentScripts(baseDir, dir = baseDir, scripts = []) {
+  let items = [];
+  try {
+    items = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return scripts;
+  }
+
+  items.forEach((item) => {
+    const fullPath = path.join(dir, item.name);
+    const relativePath = path.relative(baseDir, fullPath).replace(/\\/g, "/");
+    if (isIgnoredPath(relativePath, item.isDirectory(), baseDir)) return;
+
+    if (item.isDirectory()) {
+      findComponentScripts(baseDir, fullPath, scripts);
+    } else if (dir !== baseDir && /\.m?js$/i.test(item.name)) {
+      const script = readScript(baseDir, relativePath);
+      if (script.registers.length > 0) scripts.push(script);
+    }
+  });
+  return scripts;
+}
+
+// Function to compute a line diff (longest common subsequence), ignoring
+// indentation and other whitespace changes. Returns the number of
+// added/removed lines and the edit list [" "|"-"|"+", line], or null when
+// the files are too large to compare exactly.
+function diffLines(beforeLines, afterLines) {
+  const normalize = (line) => line.trim().replace(/\s+/g, " ");
+  const before = beforeLines.map(normalize);
+  const after = afterLines.map(normalize);
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    before[start] === after[start]
+  ) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) return null;
+
+  // lengths[i][j] = LCS of a[i..] and b[j..], stored row by row
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  // Walk the table; edits show the original lines of the copy (or of the
+  // canonical version for removed lines)
+  const edits = afterLines.slice(0, start).map((line) => [" ", line]);
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      edits.push([" ", afterLines[start + j]]);
+      i++;
+      j++;
+    } else if (
+      j < b.length &&
+      (i === a.length ||
+        lengths[i * width + j + 1] >= lengths[(i + 1) * width + j])
+    ) {
+      edits.push(["+", afterLines[start + j++]]);
+    } else {
+      edits.push(["-", beforeLines[start + i++]]);
+    }
+  }
+  afterLines
+    .slice(afterLines.length - end)
+    .forEach((line) => edits.push([" ", line]));
+
+  return {
+    added: edits.filter(([type]) => type === "+").length,
+    removed: edits.filter(([type]) => type === "-").length,
+    edits,
+  };
+}
+
+// Results of compareScripts, by "canonical path\ncopy path"
+const comparisons = new Map();
+
+// Function to compare a copy with a canonical script
+function compareScripts(canonical, copy) {
+  const key = `${canonical.path}\n${copy.path}`;
+  if (!comparisons.has(key)) {
+    comparisons.set(key, measureDrift(canonical, copy));
+  }
+  return comparisons.get(key);
+}
+
+function measureDrift(canonical, copy) {
+  if (canonical.hash === copy.hash) {
+    return { status: "identical", added: 0, removed: 0, similarity: 1 };
+  }
+
+  const diff = diffLines(canonical.lines, copy.lines);
+  if (!diff) {
+    return { status: "drifted", added: null, removed: null, similarity: 0 };
+  }
+  const common = copy.lines.length - diff.added;
+  return {
+    status: "drifted",
+    added: diff.added,
+    removed: diff.removed,
+    similarity: (2 * common) / (canonical.lines.length + copy.lines.length),
+  };
+}
+
+// Function to pick the canonical script a copy comes from: the one with
+// the same file name, else the one sharing the most registrations, else
+// the most similar
+function findCanonical(copy, canonicals) {
+  const candidates = canonicals
+    .map((canonical) => ({
+      canonical,
+      sameName: path.basename(canonical.path) === path.basename(copy.path),
+      shared: copy.registers.filter((name) =>
+        canonical.registers.includes(name)
+      ).length,
+    }))
+    .filter((candidate) => candidate.sameName || candidate.shared > 0)
+    .map((candidate) => ({
+      ...candidate,
+      comparison: compareScripts(candidate.canonical, copy),
+    }))
+    .sort(
+      (a, b) =>
+        b.sameName - a.sameName ||
+        b.shared - a.shared ||
+        b.comparison.similarity - a.comparison.similarity
+    );
+  return candidates[0] || null;
+}
+
+// Function to pick the canonical script a scene can load instead of a copy:
+// it has to register every name the scene uses from the copy. Same file
+// name first, then the most similar.
+function findReplacement(copy, usedNames, canonicals) {
+  const candidates = canonicals
+    .filter((canonical) =>
+      usedNames.every((name) => canonical.registers.includes(name))
+    )
+    .map((canonical) => ({
+      canonical,
+      sameName: path.basename(canonical.path) === path.basename(copy.path),
+      comparison: compareScripts(canonical, copy),
+    }))
+    .sort(
+      (a, b) =>
+        b.sameName - a.sameName ||
+        b.comparison.similarity - a.comparison.similarity
+    );
+  return candidates[0] || null;
+}
+
+// Function to find the scenes loading each script, with the src as written
+// and the components/shaders the scene uses
+function findScriptUsage(baseDir) {
+  const usage = new Map();
+  Object.values(getHtmlFiles(baseDir)).forEach((files) => {
+    files.forEach((file) => {
+      const html = fs.readFileSync(path.join(baseDir, file.path), "utf8");
+      const pattern = /<script\b[^>]*\bsrc\s*=\s*["']([^"']+)["']/gi;
+      let match;
+      while ((match = pattern.exec(html)) !== null) {
+        const src = match[1];
+        if (/^(?:[a-z]+:)?\/\//i.test(src)) continue;
+        const scriptPath = path
+          .relative(
+            baseDir,
+            path.resolve(
+              path.dirname(path.join(baseDir, file.path)),
+              src.split(/[?#]/)[0]
+            )
+          )
+          .replace(/\\/g, "/");
+        if (!usage.has(scriptPath)) usage.set(scriptPath, []);
+        usage.get(scriptPath).push({
+          scene: file.path,
+          src,
+          uses: [...file.components, ...file.shaders],
+        });
+      }
+    });
+  });
+  return usage;
+}
+
+// Function to build the report: every copy with its canonical version and
+// drift, duplicated scripts without a canonical version, and the scene
+// script tags that could load the canonical file instead
+function buildReport(baseDir) {
+  const scripts = findComponentScripts(baseDir);
+  const isCanonicalPath = (script) =>
+    CANONICAL_DIRS.some((dir) => script.path.startsWith(dir + "/"));
+  // _dev files are work in progress, not something to share
+  const canonicals = scripts.filter(
+    (script) => isCanonicalPath(script) && !/_dev\.m?js$/i.test(script.path)
+  );
+  const copies = scripts.filter((script) => !isCanonicalPath(script));
+  const usage = findScriptUsage(baseDir);
+
+  const report = { canonical: {}, unshared: [], rewrites: [] };
+  const unmatched = [];
+
+  copies.forEach((copy) => {
+    const match = findCanonical(copy, canonicals);
+    if (!match) {
+      unmatched.push(copy);
+      return;
+    }
+
+    const key = match.canonical.path;
+    if (!report.canonical[key]) {
+      report.canonical[key] = {
+        lines: match.canonical.lines.length,
+        copies: [],
+      };
+    }
+    report.canonical[key].copies.push({
+      path: copy.path,
+      lines: copy.lines.length,
+      ...match.comparison,
+      // Registered by the copy only
+      extra: copy.registers.filter(
+        (name) => !match.canonical.registers.includes(name)
+      ),
+    });
+
+    (usage.get(copy.path) || []).forEach(({ scene, src, uses }) => {
+      const usedNames = uses.filter((name) => copy.registers.includes(name));
+      const replacement =
+        usedNames.length > 0 && findReplacement(copy, usedNames, canonicals);
+      if (!replacement) return;
+
+      const relative = path
+        .relative(path.dirname(scene), replacement.canonical.path)
+        .replace(/\\/g, "/");
+      report.rewrites.push({
+        scene,
+        from: src,
+        to: relative + (src.match(/[?#].*$/) || [""])[0],
+        identical: replacement.comparison.status === "identical",
+      });
+    });
+  });
+
+  // Scripts copied between students that have no shared version yet
+  const groups = new Map();
+  unmatched.forEach((script) => {
+    const key = path.basename(script.path);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(script);
+  });
+  groups.forEach((group, name) => {
+    if (group.length < 2) return;
+    report.unshared.push({
+      name,
+      copies: group.map((script) => ({ path: script.path, hash: script.hash })),
+      versions: new Set(group.map((script) => script.hash)).size,
+    });
+  });
+
+  return report;
+}
+
+// Function to point scene script tags at the canonical files
+function applyRewrites(baseDir, rewrites) {
+  const byScene = new Map();
+  rewrites.forEach((rewrite) => {
+    if (!byScene.has(rewrite.scene)) byScene.set(rewrite.scene, []);
+    byScene.get(rewrite.scene).push(rewrite);
+  });
+
+  byScene.forEach((sceneRewrites, scene) => {
+    const scenePath = path.join(baseDir, scene);
+    let html = fs.readFileSync(scenePath, "utf8");
+    sceneRewrites.forEach(({ from, to }) => {
+      html = html.replace(
+        /(<script\b[^>]*\bsrc\s*=\s*)(["'])([^"']+)\2/gi,
+        (tag, start, quote, src) =>
+          src === from ? `${start}${quote}${to}${quote}` : tag
+      );
+    });
+    fs.writeFileSync(scenePath, html);
+  });
+}
+
+// Function to print the report
+function printReport(report) {
+  Object.entries(report.canonical).forEach(([canonical, entry]) => {
+    console.log(`${canonical} (${entry.lines} lines)`);
+    entry.copies.forEach((copy) => {
+      const change =
+        copy.status === "identical"
+          ? ""
+          : copy.added === null
+          ? "  too large to diff"
+          : `  +${copy.added} -${copy.removed} lines, ${Math.round(
+              copy.similarity * 100
+            )}% similar`;
+      console.log(`  ${copy.status.padEnd(10)} ${copy.path}${change}`);
+      if (copy.extra.length > 0) {
+        console.log(`             only in the copy: ${copy.extra.join(", ")}`);
+      }
+    });
+    console.log("");
+  });
+
+  if (report.unshared.length > 0) {
+    console.log("Copied scripts without a version in _Example:");
+    report.unshared.forEach((group) => {
+      console.log(
+        `  ${group.name}: ${group.copies.length} copies, ${
+          group.versions
+        } version${group.versions > 1 ? "s" : ""}`
+      );
+      group.copies.forEach((copy) => console.log(`    ${copy.path}`));
+    });
+    console.log("");
+  }
+
+  if (report.rewrites.length > 0) {
+    console.log("Scenes that can load the shared file instead:");
+    report.rewrites.forEach((rewrite) => {
+      const note = rewrite.identical ? "" : "  (copy has drifted, --force)";
+      console.log(
+        `  ${rewrite.scene}: ${rewrite.from} -> ${rewrite.to}${note}`
+      );
+    });
+  }
+}
+
+module.exports = {
+  findComponentScripts,
+  diffLines,
+  buildReport,
+  applyRewrites,
+};
+
+// Run the report when called directly
+if (require.main === module) {
+  const currentDir = __dirname;
+  const args = process.argv.slice(2);
+  const diffIndex = args.indexOf("--diff");
+
+  if (diffIndex !== -1) {
+    const copyPath = (args[diffIndex + 1] || "").replace(/\\/g, "/");
+    const report = buildReport(currentDir);
+    const canonical = Object.keys(report.canonical).find((key) =>
+      report.canonical[key].copies.some((copy) => copy.path === copyPath)
+    );
+    if (!canonical) {
+      console.error("No canonical version found for:", copyPath || "(none)");
+      process.exitCode = 1;
+    } else {
+      const diff = diffLines(
+        readScript(currentDir, canonical).lines,
+        readScript(currentDir, copyPath).lines
+      );
+      console.log(`--- ${canonical}\n+++ ${copyPath}`);
+      if (!diff) {
+        console.log("Files are too large to diff");
+      } else {
+        // Changed lines only, each run headed by its line numbers
+        let beforeLine = 1;
+        let afterLine = 1;
+        let inHunk = false;
+        diff.edits.forEach(([type, line]) => {
+          if (type === " ") {
+            inHunk = false;
+          } else {
+            if (!inHunk) console.log(`@@ -${beforeLine} +${afterLine} @@`);
+            inHunk = true;
+            console.log(type + line);
+          }
+          if (type !== "+") beforeLine++;
+          if (type !== "-") afterLine++;
+        });
+      }
+    }
+  } else {
+    const report = buildReport(currentDir);
+
+    if (args.includes("--json")) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    if (args.includes("--rewrite")) {
+      const rewrites = report.rewrites.filter(
+        (rewrite) => rewrite.identical || args.includes("--force")
+      );
+      applyRewrites(currentDir, rewrites);
+      console.log(`\nRewrote ${rewrites.length} script tags`);
+    }
+  }
+}
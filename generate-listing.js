@@ -1,5 +1,494 @@
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { renderSceneThumbnail } = require("./scene-thumbnail");
+const { lintScene } = require("./scene-lint");
+
+// Folder (next to files-listing.json) holding the scene preview images
+const THUMBNAIL_DIR = "thumbnails";
+const THUMBNAIL_CACHE = "thumbnails.json";
+
+// Root file with extra ignore patterns, and the optional per-folder manifest
+const IGNORE_FILE = ".listingignore";
+const MANIFEST_FILE = "listing.json";
+
+// Default output folder of the static site export, and the file in it
+// listing what the export wrote (only those files are removed next time)
+const EXPORT_DIR = "dist";
+const EXPORT_MARKER = ".listing-export.json";
+
+// File extensions indexed as scene assets, by type
+const ASSET_TYPES = {
+  model: ["glb", "gltf", "obj", "mtl", "fbx", "bin"],
+  image: ["png", "jpg", "jpeg", "webp", "gif", "svg", "hdr"],
+  audio: ["mp3", "wav", "ogg", "m4a"],
+  video: ["mp4", "webm", "mov"],
+  script: ["js", "mjs"],
+  shader: ["frag", "vert", "glsl"],
+  style: ["css"],
+};
+
+// Cache of what each local script registers and references
+const scriptInfoCache = new Map();
+
+// Compiled patterns of the ignore file, reloaded when the file changes
+let ignoreRulesCache = { key: null, rules: [] };
+
+// Function to check if a file or folder name is skipped when scanning
+function isIgnoredName(item) {
+  return item.startsWith(".") || item.startsWith("node_modules");
+}
+
+// Function to turn a glob ("*", "?", "**") into a regular expression source
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      // "**/" matches any number of folders, a trailing "**" everything
+      i++;
+      if (glob[i + 1] === "/") {
+        i++;
+        source += "(?:.*/)?";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return source;
+}
+
+// Function to parse the ignore file (gitignore-like: "#" comments, "!" to
+// re-include, trailing "/" for folders only, a "/" inside anchors the
+// pattern to the project root, otherwise it matches at any depth)
+function parseIgnoreRules(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      let pattern = line;
+      const negate = pattern.startsWith("!");
+      if (negate) pattern = pattern.slice(1);
+      const directoryOnly = pattern.endsWith("/");
+      pattern = pattern.replace(/\/+$/, "");
+      const anchored = pattern.includes("/");
+      pattern = pattern.replace(/^\/+/, "");
+      const prefix = anchored ? "^" : "(?:^|/)";
+      return {
+        negate,
+        directoryOnly,
+        regex: new RegExp(`${prefix}${globToRegExp(pattern)}$`),
+      };
+    });
+}
+
+// Function to get the ignore rules of a project
+function loadIgnoreRules(baseDir) {
+  const ignorePath = path.join(baseDir, IGNORE_FILE);
+  let key = null;
+  try {
+    key = `${ignorePath}:${fs.statSync(ignorePath).mtimeMs}`;
+  } catch (err) {
+    // No ignore file - only the built-in rules apply
+  }
+
+  if (ignoreRulesCache.key !== key) {
+    ignoreRulesCache = {
+      key,
+      rules: key ? parseIgnoreRules(fs.readFileSync(ignorePath, "utf8")) : [],
+    };
+  }
+  return ignoreRulesCache.rules;
+}
+
+// Function to check if a project path ("Folder/sub/file.html") is skipped,
+// either by the built-in rules or by the ignore file. A path inside an
+// ignored folder is ignored too.
+function isIgnoredPath(relativePath, isDirectory, baseDir) {
+  const rules = loadIgnoreRules(baseDir);
+  const parts = relativePath.split("/").filter(Boolean);
+
+  return parts.some((part, index) => {
+    if (isIgnoredName(part)) return true;
+
+    const current = parts.slice(0, index + 1).join("/");
+    const currentIsDirectory = index < parts.length - 1 || isDirectory;
+    let ignored = false;
+    rules.forEach((rule) => {
+      if (rule.directoryOnly && !currentIsDirectory) return;
+      if (rule.regex.test(current)) ignored = !rule.negate;
+    });
+    return ignored;
+  });
+}
+
+// Function to check if a script src points outside the project (CDN etc.)
+function isRemoteUrl(src) {
+  return /^(?:[a-z]+:)?\/\//i.test(src) || src.startsWith("data:");
+}
+
+// Function to find the names registered with AFRAME.registerComponent,
+// registerShader and registerPrimitive
+function findRegistrations(source) {
+  const registrations = { components: [], shaders: [], primitives: [] };
+  const pattern =
+    /AFRAME\.register(Component|Shader|Primitive)\(\s*["'`]([^"'`]+)["'`]/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const list = registrations[`${match[1].toLowerCase()}s`];
+    if (!list.includes(match[2])) list.push(match[2]);
+  }
+
+  return registrations;
+}
+
+// Function to read what a local script registers and which asset files it
+// references (cached until the file changes, so the long-running watcher
+// stays up to date)
+function getScriptInfo(scriptPath) {
+  let mtime = null;
+  try {
+    mtime = fs.statSync(scriptPath).mtimeMs;
+  } catch (err) {
+    // Missing script - nothing registered
+  }
+
+  const cached = scriptInfoCache.get(scriptPath);
+  if (cached && cached.mtime === mtime) return cached;
+
+  const info = {
+    mtime,
+    registrations: { components: [], shaders: [], primitives: [] },
+    references: [],
+  };
+  if (mtime !== null) {
+    try {
+      const source = fs.readFileSync(scriptPath, "utf8");
+      info.registrations = findRegistrations(source);
+      // Bundled libraries are full of unrelated file names - skip them
+      if (!scriptPath.endsWith(".min.js")) {
+        info.references = findAssetReferences(source).filter(
+          (reference) => getAssetType(reference) !== "script"
+        );
+      }
+    } catch (err) {
+      // Unreadable script - nothing registered
+    }
+  }
+  scriptInfoCache.set(scriptPath, info);
+  return info;
+}
+
+// Function to map every component/shader name registered by a script in
+// the project to the scripts registering it
+function findProjectRegistrations(baseDir, dir = baseDir, names = new Map()) {
+  let items = [];
+  try {
+    items = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (err) {
+    return names;
+  }
+
+  items.forEach((item) => {
+    const fullPath = path.join(dir, item.name);
+    const relativePath = path.relative(baseDir, fullPath).replace(/\\/g, "/");
+    if (isIgnoredPath(relativePath, item.isDirectory(), baseDir)) return;
+
+    if (item.isDirectory()) {
+      findProjectRegistrations(baseDir, fullPath, names);
+    } else if (/\.m?js$/i.test(item.name)) {
+      const { components, shaders, primitives } =
+        getScriptInfo(fullPath).registrations;
+      [...components, ...shaders, ...primitives].forEach((name) => {
+        const key = name.toLowerCase();
+        if (!names.has(key)) names.set(key, []);
+        names.get(key).push(relativePath);
+      });
+    }
+  });
+  return names;
+}
+
+// Function to get the asset type of a file from its extension
+function getAssetType(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return (
+    Object.keys(ASSET_TYPES).find((type) =>
+      ASSET_TYPES[type].includes(extension)
+    ) || null
+  );
+}
+
+// Function to find local file references (models, textures, sounds,
+// scripts, shaders) in markup or script source
+function findAssetReferences(source) {
+  const extensions = Object.values(ASSET_TYPES).flat().join("|");
+  // A whole quoted value may contain spaces: src="objects/Tree stump.glb"
+  const quotedPattern = new RegExp(
+    `(["'\`])([^"'\`\\n<>:;*?{}=|]+\\.(?:${extensions}))\\1`,
+    "gi"
+  );
+  const pattern = new RegExp(
+    `[^\\s"'\`()<>;,:*?{}=|]+\\.(?:${extensions})(?=$|[\\s"'\`()<>;,?#])`,
+    "gi"
+  );
+  const references = new Set();
+  const add = (reference) => {
+    reference = reference.trim().replace(/\\/g, "/");
+    // "//cdn.example.com/x.js" is what is left of a remote URL
+    if (!reference.startsWith("//") && !reference.includes("${")) {
+      references.add(reference);
+    }
+  };
+
+  const rest = source.replace(quotedPattern, (match, quote, reference) => {
+    add(reference);
+    return " ";
+  });
+  let match;
+  while ((match = pattern.exec(rest)) !== null) {
+    add(match[0]);
+  }
+
+  return [...references];
+}
+
+// Function to resolve the assets of a scene: existing files with their size
+// and references that point at files that do not exist
+function findSceneAssets(html, filePath, baseDir, scripts) {
+  const sceneDir = path.dirname(filePath);
+  const references = new Set();
+  const markup = html.replace(/<!--[\s\S]*?-->/g, "");
+
+  findAssetReferences(markup).forEach((reference) =>
+    references.add(path.resolve(sceneDir, reference))
+  );
+  scripts.forEach((script) => {
+    const scriptPath = path.join(baseDir, script);
+    references.add(scriptPath);
+    // Scripts load their files relative to the page, not to the script
+    getScriptInfo(scriptPath).references.forEach((reference) =>
+      references.add(path.resolve(sceneDir, reference))
+    );
+  });
+
+  const result = { assets: [], missingAssets: [], weight: 0 };
+  try {
+    result.weight = fs.statSync(filePath).size;
+  } catch (err) {
+    // Scene removed while scanning
+  }
+
+  [...references].sort().forEach((fullPath) => {
+    let decodedPath = fullPath;
+    try {
+      decodedPath = decodeURIComponent(fullPath);
+    } catch (err) {
+      // Not URI-encoded
+    }
+    const relativePath = path
+      .relative(baseDir, decodedPath)
+      .replace(/\\/g, "/");
+    if (relativePath.startsWith("..")) return;
+
+    try {
+      const stat = fs.statSync(decodedPath);
+      if (!stat.isFile()) throw new Error("Not a file");
+      result.assets.push(relativePath);
+      result.weight += stat.size;
+    } catch (err) {
+      result.missingAssets.push(relativePath);
+    }
+  });
+
+  return result;
+}
+
+// Function to collect every attribute and tag name used in the markup
+function findUsedNames(html) {
+  const names = new Set();
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<script\b[\s\S]*?<\/script>/gi, "");
+  const tagPattern = /<([a-z][\w-]*)\b([^>]*)>/gi;
+  const attrPattern = /([^\s=\/>"']+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/g;
+  let tag;
+
+  while ((tag = tagPattern.exec(markup)) !== null) {
+    names.add(tag[1].toLowerCase());
+    let attr;
+    while ((attr = attrPattern.exec(tag[2])) !== null) {
+      // "animation__click" is the "animation" component with an id
+      names.add(attr[1].toLowerCase().split("__")[0]);
+    }
+  }
+
+  return names;
+}
+
+// Function to collect shader names referenced through material="shader: x"
+function findUsedShaders(html) {
+  const shaders = new Set();
+  const pattern = /shader\s*:\s*([\w-]+)/g;
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    shaders.add(match[1]);
+  }
+
+  return shaders;
+}
+
+// Function to decode the few entities that show up in titles
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Function to extract title, description, A-Frame version, scripts and
+// the custom components/shaders a scene uses
+function extractSceneMetadata(filePath, baseDir) {
+  const metadata = {
+    title: null,
+    description: null,
+    aframeVersion: null,
+    scripts: [],
+    components: [],
+    shaders: [],
+    assets: [],
+    missingAssets: [],
+    weight: 0,
+    lint: [],
+  };
+
+  let html;
+  try {
+    html = fs.readFileSync(filePath, "utf8");
+  } catch (err) {
+    console.error("Error reading file:", filePath, err.message);
+    return metadata;
+  }
+
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (title && title[1].trim()) metadata.title = decodeEntities(title[1]);
+
+  const description =
+    html.match(
+      /<meta\s+[^>]*name\s*=\s*["']description["'][^>]*content\s*=\s*["']([^"']*)["']/i
+    ) ||
+    html.match(
+      /<meta\s+[^>]*content\s*=\s*["']([^"']*)["'][^>]*name\s*=\s*["']description["']/i
+    );
+  if (description && description[1].trim()) {
+    metadata.description = decodeEntities(description[1]);
+  }
+
+  const version = html.match(/aframe(?:\.io\/releases\/|@)(\d+\.\d+\.\d+)/i);
+  if (version) metadata.aframeVersion = version[1];
+
+  // Components, shaders and primitives the scene can use: local scripts +
+  // inline scripts
+  const registered = {
+    components: new Set(),
+    shaders: new Set(),
+    primitives: new Set(),
+  };
+  const addRegistrations = (registrations) => {
+    Object.keys(registered).forEach((type) => {
+      registrations[type].forEach((name) => registered[type].add(name));
+    });
+  };
+
+  const remoteScripts = [];
+  const scriptSources = [];
+  const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+  let script;
+  while ((script = scriptPattern.exec(html)) !== null) {
+    const src = script[1].match(/\bsrc\s*=\s*["']([^"']+)["']/i);
+
+    if (!src) {
+      addRegistrations(findRegistrations(script[2]));
+      scriptSources.push(script[2]);
+    } else if (isRemoteUrl(src[1])) {
+      remoteScripts.push(src[1]);
+    } else {
+      const scriptPath = path.resolve(
+        path.dirname(filePath),
+        src[1].split(/[?#]/)[0]
+      );
+      const relativePath = path
+        .relative(baseDir, scriptPath)
+        .replace(/\\/g, "/");
+
+      if (!metadata.scripts.includes(relativePath)) {
+        metadata.scripts.push(relativePath);
+      }
+      addRegistrations(getScriptInfo(scriptPath).registrations);
+      try {
+        scriptSources.push(fs.readFileSync(scriptPath, "utf8"));
+      } catch (err) {
+        // Missing script - reported as a missing asset
+      }
+    }
+  }
+
+  const usedNames = findUsedNames(html);
+  const usedShaders = findUsedShaders(html);
+  metadata.components = [...registered.components, ...registered.primitives]
+    .filter((name) => usedNames.has(name.toLowerCase()))
+    .sort();
+  metadata.shaders = [...registered.shaders]
+    .filter((name) => usedShaders.has(name))
+    .sort();
+
+  Object.assign(
+    metadata,
+    findSceneAssets(html, filePath, baseDir, metadata.scripts)
+  );
+
+  let projectRegistrations = null;
+  metadata.lint = lintScene(html, filePath, {
+    registered,
+    remoteScripts,
+    scriptSource: scriptSources.join("\n"),
+    findElsewhere: (name) => {
+      projectRegistrations =
+        projectRegistrations || findProjectRegistrations(baseDir);
+      return projectRegistrations.get(name.toLowerCase()) || [];
+    },
+  });
+
+  return metadata;
+}
+
+// Function to create the listing entry of a single HTML file
+function createFileEntry(fullPath, baseDir) {
+  return {
+    name: path.basename(fullPath),
+    path: path.relative(baseDir, fullPath).replace(/\\/g, "/"),
+    modified: Math.round(fs.statSync(fullPath).mtimeMs),
+    ...extractSceneMetadata(fullPath, baseDir),
+  };
+}
+
+// Function to order the files of a folder by path
+function sortFiles(files) {
+  return files.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
 
 // Function to recursively find all HTML files in a directory
 function findHtmlFilesRecursive(dir, baseDir, htmlFiles = []) {
@@ -9,26 +498,22 @@ function findHtmlFilesRecursive(dir, baseDir, htmlFiles = []) {
     items.forEach((item) => {
       const fullPath = path.join(dir, item);
       const stat = fs.statSync(fullPath);
+      const relativePath = path.relative(baseDir, fullPath).replace(/\\/g, "/");
 
-      if (
-        stat.isDirectory() &&
-        !item.startsWith(".") &&
-        !item.startsWith("node_modules")
-      ) {
+      if (isIgnoredPath(relativePath, stat.isDirectory(), baseDir)) {
+        return;
+      } else if (stat.isDirectory()) {
         // Recursively search subdirectories
         findHtmlFilesRecursive(fullPath, baseDir, htmlFiles);
       } else if (stat.isFile() && item.toLowerCase().endsWith(".html")) {
-        htmlFiles.push({
-          name: item,
-          path: path.relative(baseDir, fullPath).replace(/\\/g, "/"),
-        });
+        htmlFiles.push(createFileEntry(fullPath, baseDir));
       }
     });
   } catch (err) {
     console.error("Error reading directory:", err);
   }
 
-  return htmlFiles;
+  return sortFiles(htmlFiles);
 }
 
 // Function to get all HTML files in a directory (including subfolders)
@@ -42,11 +527,7 @@ function getHtmlFiles(dir, baseDir = dir) {
       const fullPath = path.join(dir, item);
       const stat = fs.statSync(fullPath);
 
-      if (
-        stat.isDirectory() &&
-        !item.startsWith(".") &&
-        !item.startsWith("node_modules")
-      ) {
+      if (stat.isDirectory() && !isIgnoredPath(item, true, baseDir)) {
         // Find all HTML files recursively in this folder
         const htmlFiles = findHtmlFilesRecursive(fullPath, baseDir);
 
@@ -62,13 +543,416 @@ function getHtmlFiles(dir, baseDir = dir) {
   return results;
 }
 
-// Generate the listing
-const currentDir = __dirname;
-const listing = getHtmlFiles(currentDir);
+// Function to read the optional manifest of a top-level folder
+function readFolderManifest(folderPath) {
+  const manifestPath = path.join(folderPath, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    return manifest && typeof manifest === "object" ? manifest : null;
+  } catch (err) {
+    console.error("Invalid manifest:", manifestPath, err.message);
+    return null;
+  }
+}
+
+// Function to build the listing of one folder: its display name, author and
+// files, ordered, described, grouped and hidden as its manifest declares
+function createFolderListing(folder, files, baseDir) {
+  const manifest = readFolderManifest(path.join(baseDir, folder)) || {};
+  const cleanPath = (value) => String(value).replace(/^\.?\/+/, "");
+  const toFolderPath = (file) => file.path.slice(folder.length + 1);
+
+  const hidden = (manifest.hidden || []).map(
+    (pattern) => new RegExp(`^${globToRegExp(cleanPath(pattern))}$`)
+  );
+  const entries = (manifest.entries || [])
+    .map((entry) => (typeof entry === "string" ? { path: entry } : entry))
+    .filter((entry) => entry && entry.path);
+  const order = entries.map((entry) => cleanPath(entry.path));
+
+  const visible = files
+    .filter((file) => !hidden.some((regex) => regex.test(toFolderPath(file))))
+    .map((file) => {
+      const position = order.indexOf(toFolderPath(file));
+      const entry = entries[position] || {};
+      const result = { ...file };
+      if (entry.title) result.title = entry.title;
+      if (entry.description) result.description = entry.description;
+      if (entry.group) result.group = entry.group;
+      return { file: result, position: position < 0 ? Infinity : position };
+    });
+
+  // Entries named in the manifest first (in its order), the rest by path
+  visible.sort((a, b) =>
+    a.position === b.position ? 0 : a.position < b.position ? -1 : 1
+  );
+
+  return {
+    // Split name by capital letters (e.g., "LeoMaurel" -> "Leo Maurel")
+    name: manifest.name || folder.replace(/([a-z])([A-Z])/g, "$1 $2"),
+    author: manifest.author || null,
+    description: manifest.description || null,
+    files: visible.map((item) => item.file),
+  };
+}
+
+// Function to turn the scanned HTML files into the listing written to
+// files-listing.json, applying the folder manifests
+function createListing(htmlFiles, baseDir) {
+  const listing = {};
+  Object.keys(htmlFiles).forEach((folder) => {
+    const folderListing = createFolderListing(
+      folder,
+      htmlFiles[folder],
+      baseDir
+    );
+    if (folderListing.files.length > 0) {
+      listing[folder] = folderListing;
+    }
+  });
+  return listing;
+}
+
+// Function to build a stable, readable PNG file name for a scene path
+function getThumbnailName(relativePath) {
+  const slug = relativePath
+    .replace(/\.html$/i, "")
+    .replace(/[^a-zA-Z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  const hash = crypto
+    .createHash("md5")
+    .update(relativePath)
+    .digest("hex")
+    .slice(0, 6);
+  return `${slug}-${hash}.png`;
+}
+
+// Function to render a preview PNG for every scene, reusing the previous
+// render while the HTML file's modification time is unchanged
+function generateThumbnails(listing, baseDir) {
+  const thumbnailDir = path.join(baseDir, THUMBNAIL_DIR);
+  const cachePath = path.join(thumbnailDir, THUMBNAIL_CACHE);
+  fs.mkdirSync(thumbnailDir, { recursive: true });
+
+  let cache = {};
+  try {
+    cache = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  } catch (err) {
+    // No cache yet - render everything
+  }
+
+  const nextCache = {};
+  let rendered = 0;
+
+  Object.values(listing).forEach((folder) => {
+    folder.files.forEach((file) => {
+      const mtime = fs.statSync(path.join(baseDir, file.path)).mtimeMs;
+      const name = getThumbnailName(file.path);
+      const cached = cache[file.path];
+      const upToDate =
+        cached &&
+        cached.mtime === mtime &&
+        (!cached.thumbnail ||
+          fs.existsSync(path.join(thumbnailDir, cached.thumbnail)));
+
+      let thumbnail = upToDate ? cached.thumbnail : null;
+      if (!upToDate) {
+        try {
+          const png = renderSceneThumbnail(path.join(baseDir, file.path));
+          if (png) {
+            fs.writeFileSync(path.join(thumbnailDir, name), png);
+            thumbnail = name;
+          }
+        } catch (err) {
+          console.error("Thumbnail failed:", file.path, err.message);
+        }
+        rendered++;
+      }
+
+      nextCache[file.path] = { mtime, thumbnail };
+      file.thumbnail = thumbnail ? `${THUMBNAIL_DIR}/${thumbnail}` : null;
+    });
+  });
+
+  // Remove previews of scenes that no longer exist (or no longer render)
+  const used = new Set(
+    Object.values(nextCache)
+      .map((entry) => entry.thumbnail)
+      .filter(Boolean)
+  );
+  fs.readdirSync(thumbnailDir).forEach((item) => {
+    if (item.endsWith(".png") && !used.has(item)) {
+      fs.unlinkSync(path.join(thumbnailDir, item));
+    }
+  });
+
+  const cacheOutput = JSON.stringify(nextCache, null, 2);
+  if (cacheOutput !== JSON.stringify(cache, null, 2)) {
+    fs.writeFileSync(cachePath, cacheOutput);
+  }
+  return rendered;
+}
 
-// Write to JSON file
-const jsonOutput = JSON.stringify(listing, null, 2);
-fs.writeFileSync(path.join(currentDir, "files-listing.json"), jsonOutput);
+// Function to build the project-wide asset index: every file a scene
+// depends on with its type, size and the scenes that reference it, plus
+// the referenced files that are missing
+function buildAssetIndex(listing, baseDir) {
+  const index = { assets: {}, missing: {} };
 
-console.log("File listing generated successfully!");
-console.log("Found folders:", Object.keys(listing).length);
+  Object.values(listing).forEach((folder) => {
+    folder.files.forEach((file) => {
+      (file.assets || []).forEach((asset) => {
+        if (!index.assets[asset]) {
+          let size = 0;
+          try {
+            size = fs.statSync(path.join(baseDir, asset)).size;
+          } catch (err) {
+            // Removed since the scene was scanned
+          }
+          index.assets[asset] = { type: getAssetType(asset), size, usedBy: [] };
+        }
+        index.assets[asset].usedBy.push(file.path);
+      });
+      (file.missingAssets || []).forEach((asset) => {
+        if (!index.missing[asset]) {
+          index.missing[asset] = { type: getAssetType(asset), usedBy: [] };
+        }
+        index.missing[asset].usedBy.push(file.path);
+      });
+    });
+  });
+
+  const sortKeys = (object) =>
+    Object.fromEntries(
+      Object.keys(object)
+        .sort()
+        .map((key) => [key, object[key]])
+    );
+  return { assets: sortKeys(index.assets), missing: sortKeys(index.missing) };
+}
+
+// Function to write assets-listing.json
+function writeAssetIndex(listing, baseDir) {
+  const assetIndex = buildAssetIndex(listing, baseDir);
+  fs.writeFileSync(
+    path.join(baseDir, "assets-listing.json"),
+    JSON.stringify(assetIndex, null, 2)
+  );
+  return assetIndex;
+}
+
+// Function to write files-listing.json (folders in a stable order)
+function writeListing(listing, baseDir) {
+  const sorted = {};
+  Object.keys(listing)
+    .sort()
+    .forEach((folder) => {
+      sorted[folder] = listing[folder];
+    });
+
+  const jsonOutput = JSON.stringify(sorted, null, 2);
+  fs.writeFileSync(path.join(baseDir, "files-listing.json"), jsonOutput);
+}
+
+// Function to build the export copy of index.html: the listing is embedded
+// in the page, so it needs neither files-listing.json nor the watcher
+function createExportIndex(listing, baseDir) {
+  const html = fs.readFileSync(path.join(baseDir, "index.html"), "utf8");
+  // Keep "</script>" inside the data from closing the tag
+  const data = JSON.stringify(listing).replace(/</g, "\\u003c");
+  return html.replace(
+    /<script>/,
+    () => `<script>window.preloadedListing = ${data};</script>\n    <script>`
+  );
+}
+
+// Function to copy every listed scene with its assets and preview into a
+// standalone folder for a static host. Throws when scenes reference files
+// that do not exist, unless allowMissing is set.
+function exportSite(listing, baseDir, outDir, { allowMissing = false } = {}) {
+  const root = path.resolve(baseDir);
+  const target = path.resolve(outDir);
+  if (root === target || root.startsWith(target + path.sep)) {
+    throw new Error(
+      `Refusing to export into ${target} (it contains the project)`
+    );
+  }
+  // Inside the project only dist/ is ignored by the listing and the watcher
+  if (
+    target.startsWith(root + path.sep) &&
+    target !== path.join(root, EXPORT_DIR)
+  ) {
+    throw new Error(
+      `Refusing to export into ${target} (only ${EXPORT_DIR}/ may be inside the project)`
+    );
+  }
+  const previousFiles = readExportMarker(target);
+
+  const assetIndex = buildAssetIndex(listing, baseDir);
+  const missing = Object.keys(assetIndex.missing);
+  if (missing.length > 0 && !allowMissing) {
+    const details = missing
+      .map(
+        (asset) =>
+          `  ${asset} (used by ${assetIndex.missing[asset].usedBy.join(", ")})`
+      )
+      .join("\n");
+    throw new Error(
+      `${missing.length} referenced files are missing:\n${details}`
+    );
+  }
+
+  const files = new Set([".nojekyll"]);
+  Object.values(listing).forEach((folder) => {
+    folder.files.forEach((file) => {
+      files.add(file.path);
+      (file.assets || []).forEach((asset) => files.add(asset));
+      if (file.thumbnail) files.add(file.thumbnail);
+    });
+  });
+
+  removeExport(target, previousFiles);
+  let bytes = 0;
+  files.forEach((file) => {
+    const source = path.join(baseDir, file);
+    if (!fs.existsSync(source)) return;
+    const destination = path.join(target, file);
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    fs.copyFileSync(source, destination);
+    bytes += fs.statSync(destination).size;
+  });
+
+  writeListing(listing, target);
+  writeAssetIndex(listing, target);
+  fs.writeFileSync(
+    path.join(target, "index.html"),
+    createExportIndex(listing, baseDir)
+  );
+  const written = [
+    ...files,
+    "index.html",
+    "files-listing.json",
+    "assets-listing.json",
+  ];
+  fs.writeFileSync(
+    path.join(target, EXPORT_MARKER),
+    JSON.stringify({ files: [...new Set(written)] }, null, 2)
+  );
+
+  return { files: files.size, bytes, missing };
+}
+
+// Function to read the files an earlier export wrote to a folder. Throws
+// when the folder holds anything else, so nothing of the user's is removed.
+function readExportMarker(target) {
+  let items = [];
+  try {
+    items = fs.readdirSync(target);
+  } catch (err) {
+    return []; // Not there yet
+  }
+  if (items.length === 0) return [];
+
+  try {
+    const { files } = JSON.parse(
+      fs.readFileSync(path.join(target, EXPORT_MARKER), "utf8")
+    );
+    return files;
+  } catch (err) {
+    throw new Error(
+      `Refusing to export into ${target} (it is not empty and not an earlier export)`
+    );
+  }
+}
+
+// Function to remove the files of an earlier export, and the folders it
+// leaves empty
+function removeExport(target, files) {
+  const folders = new Set();
+  files.concat(EXPORT_MARKER).forEach((file) => {
+    const fullPath = path.resolve(target, file);
+    if (!fullPath.startsWith(target + path.sep)) return;
+    fs.rmSync(fullPath, { force: true });
+    for (
+      let dir = path.dirname(fullPath);
+      dir.startsWith(target + path.sep);
+      dir = path.dirname(dir)
+    ) {
+      folders.add(dir);
+    }
+  });
+  // Deepest first, so parents are empty by the time they are reached
+  [...folders]
+    .sort((a, b) => b.length - a.length)
+    .forEach((dir) => {
+      try {
+        fs.rmdirSync(dir);
+      } catch (err) {
+        // Not empty: holds files the export did not write
+      }
+    });
+}
+
+module.exports = {
+  IGNORE_FILE,
+  MANIFEST_FILE,
+  isIgnoredName,
+  isIgnoredPath,
+  getScriptInfo,
+  createFileEntry,
+  sortFiles,
+  findHtmlFilesRecursive,
+  getHtmlFiles,
+  createListing,
+  generateThumbnails,
+  buildAssetIndex,
+  writeListing,
+  writeAssetIndex,
+  exportSite,
+};
+
+// Generate the listing when run directly (watch-files.js requires this file).
+// "--export [dir]" also writes a static copy of the site (default: dist/).
+if (require.main === module) {
+  const currentDir = __dirname;
+  const args = process.argv.slice(2);
+  const exportIndex = args.indexOf("--export");
+  const listing = createListing(getHtmlFiles(currentDir), currentDir);
+  const renderedThumbnails = generateThumbnails(listing, currentDir);
+
+  writeListing(listing, currentDir);
+  const assetIndex = writeAssetIndex(listing, currentDir);
+
+  console.log("File listing generated successfully!");
+  console.log("Found folders:", Object.keys(listing).length);
+  console.log("Indexed assets:", Object.keys(assetIndex.assets).length);
+  console.log("Missing assets:", Object.keys(assetIndex.missing).length);
+  console.log("Thumbnails rendered:", renderedThumbnails);
+
+  if (exportIndex !== -1) {
+    const next = args[exportIndex + 1];
+    const outDir = path.resolve(
+      currentDir,
+      next && !next.startsWith("--") ? next : EXPORT_DIR
+    );
+
+    try {
+      const result = exportSite(listing, currentDir, outDir, {
+        allowMissing: args.includes("--allow-missing"),
+      });
+      result.missing.forEach((asset) => console.warn("Missing asset:", asset));
+      console.log("Site exported to:", outDir);
+      console.log("Files copied:", result.files);
+      console.log(
+        "Export size:",
+        (result.bytes / 1024 / 1024).toFixed(1),
+        "MB"
+      );
+    } catch (err) {
+      console.error("Export failed:", err.message);
+      process.exitCode = 1;
+    }
+  }
+}
@@ -0,0 +1,216 @@
+const http = require("http");
+
+// Pose relay for shared scenes: every participant posts its rig, head and
+// hand poses and receives everyone else's over Server-Sent Events. Used by
+// the multi-user component in _Example/components/a-cursor-navigation.js.
+//
+//   node pose-relay.js      relay on http://localhost:8090/__relay
+//                           (set RELAY_PORT to use another port, and
+//                           HOST=0.0.0.0 to accept other devices)
+//
+// watch-files.js serves the same relay at /__relay, so scenes opened
+// through the watcher need nothing else.
+//
+//   GET  /__relay/events?room=<room>&id=<id>   stream of peers, pose,
+//                                              leave and gather events
+//   POST /__relay/send?room=<room>             one JSON message:
+//        { type: "pose", id, name, color, rig, head, hands }
+//        { type: "gather", id, position, yaw }
+//        { type: "leave", id }
+
+const DEFAULT_PATH = "/__relay";
+const DEFAULT_PORT = 8090;
+
+// Largest message accepted (a pose is well under 1 KB)
+const MAX_MESSAGE_SIZE = 16 * 1024;
+
+// Keep idle event streams open through proxies
+const PING_INTERVAL = 30000;
+
+const MESSAGE_TYPES = ["pose", "gather", "leave"];
+
+// Function to create a relay. `handle(req, res)` answers the requests below
+// `basePath` and returns false for any other request.
+function createRelay({ basePath = DEFAULT_PATH, log = () => {} } = {}) {
+  // room -> { clients: Map(id -> response), poses: Map(id -> last pose) }
+  const rooms = new Map();
+
+  function getRoom(name) {
+    if (!rooms.has(name)) {
+      rooms.set(name, { clients: new Map(), poses: new Map() });
+    }
+    return rooms.get(name);
+  }
+
+  function send(res, eventName, data) {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Function to send an event to everyone in a room except the sender
+  function broadcast(room, eventName, data, senderId) {
+    room.clients.forEach((res, id) => {
+      if (id !== senderId) send(res, eventName, data);
+    });
+  }
+
+  function leave(roomName, id) {
+    const room = rooms.get(roomName);
+    if (!room) return;
+    room.clients.delete(id);
+    if (room.poses.delete(id)) broadcast(room, "leave", { id });
+    if (room.clients.size === 0) rooms.delete(roomName);
+    log(`👋 ${id} left ${roomName}`);
+  }
+
+  // Event stream of one participant: the others' last poses on connect,
+  // their updates after
+  function handleEvents(req, res, params) {
+    const roomName = params.get("room") || "/";
+    const id = params.get("id");
+    if (!id) {
+      res.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Missing id");
+      return;
+    }
+
+    const room = getRoom(roomName);
+    // A reconnect of the same participant replaces the old stream
+    room.clients.get(id)?.end();
+    room.clients.set(id, res);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.write("retry: 2000\n\n");
+    send(res, "peers", {
+      peers: [...room.poses.values()].filter((pose) => pose.id !== id),
+    });
+    log(`🧑 ${id} joined ${roomName} (${room.clients.size} connected)`);
+
+    req.on("close", () => {
+      if (room.clients.get(id) === res) leave(roomName, id);
+    });
+  }
+
+  function handleSend(req, res, params) {
+    const roomName = params.get("room") || "/";
+    let body = "";
+    let tooLarge = false;
+
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_MESSAGE_SIZE) tooLarge = true;
+    });
+    req.on("end", () => {
+      let message = null;
+      try {
+        message = tooLarge ? null : JSON.parse(body);
+      } catch (err) {
+        // Answered as a bad request below
+      }
+      if (
+        !message ||
+        typeof message.id !== "string" ||
+        !MESSAGE_TYPES.includes(message.type)
+      ) {
+        res.writeHead(400, {
+          "Content-Type": "text/plain; charset=utf-8",
+          "Access-Control-Allow-Origin": "*",
+        });
+        res.end("Bad message");
+        return;
+      }
+
+      // Only participants with an open stream are relayed, so a pose that
+      // arrives after its sender left does not bring them back
+      const room = rooms.get(roomName);
+      const client = room?.clients.get(message.id);
+      if (!client) {
+        // Not connected (anymore): nothing to relay
+      } else if (message.type === "pose") {
+        room.poses.set(message.id, message);
+        broadcast(room, "pose", message, message.id);
+      } else if (message.type === "gather") {
+        log(`📣 ${message.id} gathers ${roomName}`);
+        broadcast(room, "gather", message, message.id);
+      } else {
+        client.end();
+        leave(roomName, message.id);
+      }
+
+      res.writeHead(204, { "Access-Control-Allow-Origin": "*" });
+      res.end();
+    });
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (!url.pathname.startsWith(basePath + "/")) return false;
+    const route = url.pathname.slice(basePath.length);
+
+    if (req.method === "OPTIONS") {
+      // Preflight of pages served from another origin
+      res.writeHead(204, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end();
+    } else if (route === "/events" && req.method === "GET") {
+      handleEvents(req, res, url.searchParams);
+    } else if (route === "/send" && req.method === "POST") {
+      handleSend(req, res, url.searchParams);
+    } else {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+    }
+    return true;
+  }
+
+  const pingTimer = setInterval(() => {
+    rooms.forEach((room) =>
+      room.clients.forEach((res) => res.write(": ping\n\n"))
+    );
+  }, PING_INTERVAL);
+  pingTimer.unref();
+
+  // Function to end every stream (e.g. before the server stops)
+  function close() {
+    clearInterval(pingTimer);
+    rooms.forEach((room) => room.clients.forEach((res) => res.end()));
+    rooms.clear();
+  }
+
+  return { handle, close, rooms };
+}
+
+module.exports = { createRelay, DEFAULT_PATH };
+
+// Run directly
+if (require.main === module) {
+  const port = Number(process.env.RELAY_PORT) || DEFAULT_PORT;
+  // Only this computer can connect unless HOST is set, as in watch-files.js
+  const host = process.env.HOST || "localhost";
+  const relay = createRelay({ log: console.log });
+  const server = http.createServer((req, res) => {
+    if (!relay.handle(req, res)) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+    }
+  });
+
+  server.on("error", (err) => {
+    console.error("❌ Relay error:", err.message);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    console.log(`📡 Pose relay at http://${host}:${port}${DEFAULT_PATH}\n`);
+  });
+  process.on("SIGINT", () => {
+    relay.close();
+    process.exit(0);
+  });
+}
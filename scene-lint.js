@@ -0,0 +1,633 @@
+const fs = require("fs");
+const path = require("path");
+const { parseAttributes, parseProperties } = require("./scene-thumbnail");
+
+// Static checks of a scene's A-Frame markup, run by generate-listing.js.
+// It knows A-Frame's own components, primitives and shaders, the libraries
+// the scenes load from CDNs and everything registered by the scene's local
+// scripts, and reports what a browser would silently ignore: unknown
+// components, primitives and shaders, and references to ids that do not
+// exist.
+
+// ============================================================================
+// KNOWN NAMES
+// ============================================================================
+const AFRAME_COMPONENTS = [
+  "anchored",
+  "animation",
+  "ar-hit-test",
+  "background",
+  "camera",
+  "cursor",
+  "daydream-controls",
+  "debug",
+  "device-orientation-permission-ui",
+  "embedded",
+  "fog",
+  "gearvr-controls",
+  "generic-tracked-controller-controls",
+  "geometry",
+  "gltf-model",
+  "grabbable",
+  "hand-controls",
+  "hand-tracking-controls",
+  "hand-tracking-grab-controls",
+  "hide-on-enter-ar",
+  "hide-on-enter-vr",
+  "hp-mixed-reality-controls",
+  "inspector",
+  "keyboard-shortcuts",
+  "laser-controls",
+  "layer",
+  "light",
+  "line",
+  "link",
+  "loading-screen",
+  "logitech-mx-ink-controls",
+  "look-controls",
+  "magicleap-controls",
+  "material",
+  "meta-touch-controls",
+  "obb-collider",
+  "obj-model",
+  "oculus-go-controls",
+  "oculus-touch-controls",
+  "pico-controls",
+  "pool",
+  "position",
+  "raycaster",
+  "real-world-meshing",
+  "reflection",
+  "renderer",
+  "rotation",
+  "scale",
+  "screenshot",
+  "shadow",
+  "sound",
+  "stats",
+  "text",
+  "tracked-controls",
+  "valve-index-controls",
+  "visible",
+  "vive-controls",
+  "vive-focus-controls",
+  "vr-mode-ui",
+  "wasd-controls",
+  "webxr",
+  "windows-motion-controls",
+  "xr-mode-ui",
+];
+
+const AFRAME_PRIMITIVES = [
+  "a-box",
+  "a-camera",
+  "a-circle",
+  "a-cone",
+  "a-cursor",
+  "a-curvedimage",
+  "a-cylinder",
+  "a-dodecahedron",
+  "a-gltf-model",
+  "a-icosahedron",
+  "a-image",
+  "a-light",
+  "a-link",
+  "a-obj-model",
+  "a-octahedron",
+  "a-plane",
+  "a-ring",
+  "a-sky",
+  "a-sound",
+  "a-sphere",
+  "a-tetrahedron",
+  "a-text",
+  "a-torus",
+  "a-torus-knot",
+  "a-triangle",
+  "a-video",
+  "a-videosphere",
+];
+
+// Elements that are not entities with components (their attributes are
+// plain HTML attributes)
+const AFRAME_ELEMENTS = ["a-assets", "a-asset-item", "a-mixin", "a-node"];
+
+const AFRAME_SHADERS = [
+  "flat",
+  "msdf",
+  "phong",
+  "portal",
+  "sdf",
+  "shadow",
+  "standard",
+];
+
+// Attributes the built-in primitives map onto their components
+const PRIMITIVE_ATTRIBUTES = [
+  "active",
+  "align",
+  "ambient-occlusion-map",
+  "ambient-occlusion-map-intensity",
+  "anchor",
+  "angle",
+  "arc",
+  "autoplay",
+  "baseline",
+  "cast-shadow",
+  "color",
+  "crossorigin",
+  "decay",
+  "depth",
+  "depth-test",
+  "detail",
+  "displacement-bias",
+  "displacement-map",
+  "displacement-scale",
+  "distance",
+  "distance-model",
+  "emissive",
+  "emissive-intensity",
+  "env-map",
+  "far",
+  "flat-shading",
+  "font",
+  "font-image",
+  "fov",
+  "fuse",
+  "fuse-timeout",
+  "ground-color",
+  "height",
+  "highlighted",
+  "href",
+  "image",
+  "intensity",
+  "letter-spacing",
+  "line-height",
+  "look-controls-enabled",
+  "loop",
+  "max-distance",
+  "metalness",
+  "metalness-map",
+  "mtl",
+  "near",
+  "negate",
+  "normal-map",
+  "normal-scale",
+  "offset",
+  "on",
+  "opacity",
+  "open-ended",
+  "p",
+  "penumbra",
+  "phi-length",
+  "phi-start",
+  "q",
+  "radius",
+  "radius-bottom",
+  "radius-inner",
+  "radius-outer",
+  "radius-top",
+  "radius-tubular",
+  "ref-distance",
+  "repeat",
+  "reverse-mouse-drag",
+  "rolloff-factor",
+  "roughness",
+  "roughness-map",
+  "segments",
+  "segments-depth",
+  "segments-height",
+  "segments-phi",
+  "segments-radial",
+  "segments-theta",
+  "segments-tubular",
+  "segments-width",
+  "shader",
+  "side",
+  "spherical-env-map",
+  "src",
+  "target",
+  "theta-length",
+  "theta-start",
+  "title",
+  "transparent",
+  "type",
+  "user-height",
+  "value",
+  "vertex-a",
+  "vertex-b",
+  "vertex-c",
+  "volume",
+  "wasd-controls-enabled",
+  "width",
+  "wireframe",
+  "wireframe-linewidth",
+  "wrap-count",
+  "wrap-pixels",
+  "x-offset",
+  "z-offset",
+  "zoom",
+];
+
+// Plain HTML attributes allowed on any element
+const HTML_ATTRIBUTES = [
+  "class",
+  "dir",
+  "hidden",
+  "id",
+  "lang",
+  "mixin",
+  "role",
+  "slot",
+  "style",
+  "tabindex",
+  "title",
+];
+
+// Libraries loaded from CDNs and the names they register (matched on the
+// script URL). Scenes loading any other remote script are not checked for
+// unknown names.
+const REMOTE_LIBRARIES = [
+  { url: /aframe(?:\.min)?\.js|aframe\.io\/releases/, components: [] },
+  { url: /dat-?gui/, components: [] },
+  { url: /aframe-event-set-component/, components: ["event-set"] },
+  {
+    url: /aframe-environment-component/,
+    components: ["environment"],
+  },
+  {
+    url: /aframe-extras/,
+    primitives: ["a-grid", "a-ocean", "a-tube"],
+    components: [
+      "animation-mixer",
+      "checkpoint",
+      "checkpoint-controls",
+      "cube-env-map",
+      "fbx-model",
+      "gamepad-controls",
+      "gltf-model-legacy",
+      "grab",
+      "keyboard-controls",
+      "mesh-smooth",
+      "movement-controls",
+      "nav-agent",
+      "nav-mesh",
+      "nipple-controls",
+      "normal-material",
+      "object-model",
+      "ocean",
+      "sphere-collider",
+      "touch-controls",
+      "trackpad-controls",
+      "tube",
+    ],
+  },
+  {
+    url: /aframe-super-hands-component/,
+    components: [
+      "clickable",
+      "draggable",
+      "droppable",
+      "grabbable",
+      "hoverable",
+      "stretchable",
+      "super-hands",
+    ],
+  },
+  {
+    url: /aframe-physics-system/,
+    components: [
+      "ammo-body",
+      "ammo-constraint",
+      "ammo-shape",
+      "body",
+      "constraint",
+      "dynamic-body",
+      "physics",
+      "shape",
+      "sleepy",
+      "spring",
+      "static-body",
+      "velocity",
+    ],
+  },
+  { url: /physx/, components: [], prefixes: ["physx"] },
+];
+
+const HEX_COLOR = /^(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// ============================================================================
+// MARKUP
+// ============================================================================
+
+// Every element of the page (comments and scripts removed) with its
+// attributes, and whether it sits inside the <a-scene>
+function parseElements(html) {
+  const markup = html
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<script\b[\s\S]*?<\/script>/gi, "");
+  const elements = [];
+  // Quoted values may contain ">" (load="entity: page.html>id")
+  const tagPattern =
+    /<(\/?)([a-z][\w-]*)\b((?:"[^"]*"|'[^']*'|[^"'>])*?)\/?>/gi;
+  let inScene = false;
+  let tag;
+
+  while ((tag = tagPattern.exec(markup)) !== null) {
+    const name = tag[2].toLowerCase();
+    if (name === "a-scene") inScene = !tag[1];
+    if (tag[1]) continue;
+    elements.push({ name, attributes: parseAttributes(tag[3]), inScene });
+  }
+  return elements;
+}
+
+// Function to find the ids referenced as "#id" in an attribute value
+// ("#sky", "src: #sky", "objects: #floor, .wall"). Colors are not ids,
+// even misspelled ones ("hoverColor: #red").
+function findIdReferences(value) {
+  const ids = [];
+  const values = value.includes(":")
+    ? Object.entries(parseProperties(value))
+        .filter(([property]) => !/colou?r/i.test(property))
+        .map(([, propertyValue]) => propertyValue)
+    : [value];
+  const pattern = /(?:^|[\s,(|])#([A-Za-z_][\w-]*)/g;
+
+  values.forEach((text) => {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!HEX_COLOR.test(match[1])) ids.push(match[1]);
+    }
+  });
+  return ids;
+}
+
+// Function to collect the ids an element refers to, with the attribute
+function findElementReferences(element) {
+  const references = [];
+  Object.entries(element.attributes).forEach(([name, value]) => {
+    const component = name.split("__")[0];
+    // Text is shown to the user, it does not point at elements
+    if (component === "value" || component === "text") return;
+
+    if (component === "mixin") {
+      value
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach((id) => references.push({ attribute: name, id }));
+      return;
+    }
+
+    findIdReferences(value).forEach((id) =>
+      references.push({ attribute: name, id })
+    );
+
+    // Components from _Example/components/trigger.js take bare ids
+    const properties = parseProperties(value);
+    if (component === "load" && properties.target) {
+      references.push({
+        attribute: name,
+        id: properties.target.replace(/^#/, ""),
+      });
+    }
+    if ((component === "destroy" || component === "anim") && properties.id) {
+      properties.id
+        .split(",")
+        .map((id) => id.trim().replace(/^#/, ""))
+        .filter(Boolean)
+        .forEach((id) => references.push({ attribute: name, id }));
+    }
+  });
+  return references;
+}
+
+// Function to read the ids defined in another page (for load="entity: ...")
+function readPageIds(filePath) {
+  try {
+    return new Set(
+      parseElements(fs.readFileSync(filePath, "utf8"))
+        .map((element) => element.attributes.id)
+        .filter(Boolean)
+    );
+  } catch (err) {
+    return null;
+  }
+}
+
+// ============================================================================
+// LINT
+// ============================================================================
+
+// Function to check one scene. The context holds what the scene can use:
+//   registered    - { components, shaders, primitives } registered by its
+//                   scripts
+//   remoteScripts - URLs of the scripts it loads from other hosts
+//   scriptSource  - text of its inline and local scripts (ids created there
+//                   count as defined)
+//   findElsewhere - optional, name -> project scripts registering it
+// Returns a list of { rule, message }.
+function lintScene(html, filePath, context) {
+  const problems = [];
+  const report = (rule, message) => {
+    if (!problems.some((problem) => problem.message === message)) {
+      problems.push({ rule, message });
+    }
+  };
+
+  const elements = parseElements(html);
+  if (!elements.some((element) => element.name === "a-scene")) return problems;
+
+  const known = {
+    components: new Set(AFRAME_COMPONENTS),
+    primitives: new Set(AFRAME_PRIMITIVES),
+    shaders: new Set(AFRAME_SHADERS),
+    prefixes: [],
+  };
+  context.registered.components.forEach((name) =>
+    known.components.add(name.toLowerCase())
+  );
+  context.registered.primitives.forEach((name) =>
+    known.primitives.add(name.toLowerCase())
+  );
+  context.registered.shaders.forEach((name) => known.shaders.add(name));
+
+  let checkNames = true;
+  context.remoteScripts.forEach((url) => {
+    const library = REMOTE_LIBRARIES.find((candidate) =>
+      candidate.url.test(url)
+    );
+    if (!library) {
+      checkNames = false;
+      return;
+    }
+    library.components.forEach((name) => known.components.add(name));
+    (library.primitives || []).forEach((name) => known.primitives.add(name));
+    known.prefixes.push(...(library.prefixes || []));
+  });
+
+  const isKnownComponent = (name) =>
+    known.components.has(name) ||
+    known.prefixes.some(
+      (prefix) => name === prefix || name.startsWith(prefix + "-")
+    );
+  const elsewhere = (name) => {
+    const files = context.findElsewhere ? context.findElsewhere(name) : [];
+    if (files.length === 0) return "";
+    const more = files.length > 2 ? ` and ${files.length - 2} more` : "";
+    return ` (registered in ${files
+      .slice(0, 2)
+      .join(", ")}${more}, which this page does not load)`;
+  };
+
+  const sceneElements = elements.filter((element) => element.inScene);
+  const usedComponents = new Set();
+
+  // Unknown primitives, components and shaders
+  sceneElements.forEach((element) => {
+    if (!element.name.startsWith("a-")) return;
+    const isBuiltIn = AFRAME_PRIMITIVES.includes(element.name);
+    const isElement =
+      AFRAME_ELEMENTS.includes(element.name) || element.name === "a-scene";
+
+    if (
+      checkNames &&
+      !isElement &&
+      element.name !== "a-entity" &&
+      !known.primitives.has(element.name)
+    ) {
+      report(
+        "unknown-primitive",
+        `Unknown element <${element.name}>${elsewhere(element.name)}`
+      );
+    }
+
+    let malformed = false;
+    Object.keys(element.attributes).forEach((attribute) => {
+      const name = attribute.split("__")[0];
+      // Left over from broken quoting, e.g. environment="preset: x"; fog: 1"
+      if (!/^[a-z_][\w.-]*$/.test(name)) {
+        if (!malformed) {
+          report(
+            "malformed-markup",
+            `Broken attribute quoting on <${element.name}${
+              element.attributes.id ? ` id="${element.attributes.id}"` : ""
+            }>`
+          );
+        }
+        malformed = true;
+        return;
+      }
+      if (malformed) return;
+      usedComponents.add(name);
+      if (!checkNames) return;
+      if (element.name === "a-assets" || element.name === "a-asset-item")
+        return;
+      if (
+        HTML_ATTRIBUTES.includes(name) ||
+        /^(?:data-|aria-|on[a-z]+$)/.test(name)
+      )
+        return;
+      if (isBuiltIn && PRIMITIVE_ATTRIBUTES.includes(name)) return;
+      // Custom primitives map attributes we do not know about
+      if (!isBuiltIn && known.primitives.has(element.name)) return;
+      if (!isKnownComponent(name)) {
+        report(
+          "unknown-component",
+          `Unknown component "${name}"${elsewhere(name)}`
+        );
+      }
+    });
+
+    const material = element.attributes.material;
+    const shader =
+      (material && parseProperties(material).shader) ||
+      (isBuiltIn && element.attributes.shader);
+    if (checkNames && shader && !known.shaders.has(shader)) {
+      report(
+        "unknown-shader",
+        `Unknown shader "${shader}"${elsewhere(shader)}`
+      );
+    }
+  });
+
+  // load="entity: other.html>id1,id2|..." needs the page and the ids in it.
+  // The loaded entities count as part of this page.
+  const ids = new Set(
+    elements.map((element) => element.attributes.id).filter(Boolean)
+  );
+  sceneElements.forEach((element) => {
+    Object.entries(element.attributes)
+      .filter(([attribute]) => attribute.split("__")[0] === "load")
+      .forEach(([attribute, value]) => {
+        (parseProperties(value).entity || "")
+          .split("|")
+          .filter((item) => item.includes(">"))
+          .forEach((item) => {
+            const [page, entityIds] = item.split(">");
+            const pagePath = path.resolve(
+              path.dirname(filePath),
+              page.trim().replace(/^\/+/, "")
+            );
+            const pageIds = readPageIds(pagePath);
+            if (!pageIds) {
+              report(
+                "missing-page",
+                `${attribute} loads from ${page.trim()}, which does not exist`
+              );
+              return;
+            }
+            entityIds
+              .split(",")
+              .map((id) => id.trim())
+              .filter(Boolean)
+              .forEach((id) => {
+                if (pageIds.has(id)) {
+                  ids.add(id);
+                } else {
+                  report(
+                    "missing-id",
+                    `${attribute} loads #${id} from ${page.trim()}, which has no such id`
+                  );
+                }
+              });
+          });
+      });
+  });
+
+  // References to ids that are not in the page
+  const isDefined = (id) =>
+    ids.has(id) ||
+    context.scriptSource.includes(`"${id}"`) ||
+    context.scriptSource.includes(`'${id}'`);
+  sceneElements.forEach((element) => {
+    findElementReferences(element).forEach(({ attribute, id }) => {
+      if (!isDefined(id)) {
+        report(
+          "missing-id",
+          `${attribute} on <${element.name}> refers to #${id}, which does not exist`
+        );
+      }
+    });
+  });
+
+  // The teleport component needs a cursor to aim with and a navmesh to land on
+  if (usedComponents.has("a-cursor-teleport")) {
+    if (!usedComponents.has("navmesh")) {
+      report(
+        "missing-navmesh",
+        "a-cursor-teleport is used, but no entity has the navmesh component"
+      );
+    }
+    if (!sceneElements.some((element) => element.name === "a-cursor")) {
+      report(
+        "missing-cursor",
+        "a-cursor-teleport is used, but the scene has no <a-cursor>"
+      );
+    }
+  }
+
+  return problems;
+}
+
+module.exports = { lintScene };
@@ -0,0 +1,824 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// Static scene preview renderer used by generate-listing.js.
+// It reads the A-Frame markup (primitives, geometry components and
+// uncompressed .glb models), places everything with the entity transforms
+// and rasterizes a flat-shaded view from the scene camera into a PNG.
+// No browser or WebGL is needed, so it runs anywhere node does.
+
+const WIDTH = 320;
+const HEIGHT = 180;
+const FOV = 80; // A-Frame default camera fov (degrees, vertical)
+const NEAR = 0.05;
+const FAR = 1000;
+const USER_HEIGHT = 1.6;
+const MAX_TRIANGLES = 300000;
+const LIGHT = normalize([0.4, 1, 0.6]);
+const DEFAULT_BACKGROUND = [236, 236, 236];
+const DEFAULT_COLOR = [255, 255, 255];
+const VOID_TAGS = new Set([
+  "img",
+  "source",
+  "br",
+  "hr",
+  "input",
+  "link",
+  "meta",
+]);
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  red: [255, 0, 0],
+  green: [0, 128, 0],
+  blue: [0, 0, 255],
+  yellow: [255, 255, 0],
+  orange: [255, 165, 0],
+  purple: [128, 0, 128],
+  pink: [255, 192, 203],
+  brown: [165, 42, 42],
+  cyan: [0, 255, 255],
+  magenta: [255, 0, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  lightblue: [173, 216, 230],
+  skyblue: [135, 206, 235],
+  gold: [255, 215, 0],
+};
+
+// ============================================================================
+// SMALL VECTOR / MATRIX HELPERS (3x4 row-major affine matrices)
+// ============================================================================
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function identity() {
+  return [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0];
+}
+
+function multiply(a, b) {
+  const out = new Array(12);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 4; col++) {
+      out[row * 4 + col] =
+        a[row * 4] * b[col] +
+        a[row * 4 + 1] * b[4 + col] +
+        a[row * 4 + 2] * b[8 + col] +
+        (col === 3 ? a[row * 4 + 3] : 0);
+    }
+  }
+  return out;
+}
+
+// A-Frame rotations are degrees applied in YXZ order
+function compose(position, rotation, scale) {
+  const [x, y, z] = rotation.map((deg) => (deg * Math.PI) / 180);
+  const a = Math.cos(x),
+    b = Math.sin(x),
+    c = Math.cos(y),
+    d = Math.sin(y),
+    e = Math.cos(z),
+    f = Math.sin(z);
+  const ce = c * e,
+    cf = c * f,
+    de = d * e,
+    df = d * f;
+
+  return [
+    (ce + df * b) * scale[0],
+    (de * b - cf) * scale[1],
+    a * d * scale[2],
+    position[0],
+    a * f * scale[0],
+    a * e * scale[1],
+    -b * scale[2],
+    position[1],
+    (cf * b - de) * scale[0],
+    (df + ce * b) * scale[1],
+    a * c * scale[2],
+    position[2],
+  ];
+}
+
+function fromQuaternion(t, q, s) {
+  const [x, y, z, w] = q;
+  return [
+    (1 - 2 * (y * y + z * z)) * s[0],
+    2 * (x * y - z * w) * s[1],
+    2 * (x * z + y * w) * s[2],
+    t[0],
+    2 * (x * y + z * w) * s[0],
+    (1 - 2 * (x * x + z * z)) * s[1],
+    2 * (y * z - x * w) * s[2],
+    t[1],
+    2 * (x * z - y * w) * s[0],
+    2 * (y * z + x * w) * s[1],
+    (1 - 2 * (x * x + y * y)) * s[2],
+    t[2],
+  ];
+}
+
+function transformPoint(m, p) {
+  return [
+    m[0] * p[0] + m[1] * p[1] + m[2] * p[2] + m[3],
+    m[4] * p[0] + m[5] * p[1] + m[6] * p[2] + m[7],
+    m[8] * p[0] + m[9] * p[1] + m[10] * p[2] + m[11],
+  ];
+}
+
+// Inverse of a rotation + translation matrix (scale is dropped)
+function invertRigid(m) {
+  const axes = [0, 1, 2].map((col) =>
+    normalize([m[col], m[4 + col], m[8 + col]])
+  );
+  const t = [m[3], m[7], m[11]];
+  const out = [];
+  axes.forEach((axis) => {
+    out.push(
+      axis[0],
+      axis[1],
+      axis[2],
+      -(axis[0] * t[0] + axis[1] * t[1] + axis[2] * t[2])
+    );
+  });
+  return out;
+}
+
+// ============================================================================
+// MARKUP PARSING
+// ============================================================================
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern =
+    /([^\s=\/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? "";
+  }
+  return attributes;
+}
+
+// "primitive: box; width: 2" -> { primitive: "box", width: "2" }
+function parseProperties(value) {
+  const properties = {};
+  (value || "").split(";").forEach((part) => {
+    const index = part.indexOf(":");
+    if (index > 0) {
+      properties[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+  });
+  return properties;
+}
+
+function parseVec3(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const numbers = value.trim().split(/\s+/).map(Number);
+  if (numbers.length < 3 || numbers.some(Number.isNaN)) return fallback;
+  return numbers.slice(0, 3);
+}
+
+function parseNumber(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function parseColor(value) {
+  if (!value) return null;
+  const color = value.trim().toLowerCase();
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+
+  let hex = color.match(/^#([0-9a-f]{6})$/);
+  if (hex) {
+    return [0, 2, 4].map((i) => parseInt(hex[1].slice(i, i + 2), 16));
+  }
+  hex = color.match(/^#([0-9a-f]{3})$/);
+  if (hex) return [0, 1, 2].map((i) => parseInt(hex[1][i] + hex[1][i], 16));
+  return null;
+}
+
+// Build a flat list of entities with their world matrix from the <a-scene>
+function parseSceneEntities(html) {
+  const sceneMatch = html.match(/<a-scene\b([^>]*)>([\s\S]*?)<\/a-scene>/i);
+  if (!sceneMatch) return null;
+
+  const markup = sceneMatch[2]
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<script\b[\s\S]*?<\/script>/gi, "");
+  const entities = [];
+  const stack = [{ matrix: identity(), hidden: false }];
+  const tagPattern = /<(\/?)([a-z][\w-]*)\b([^>]*?)(\/?)>/gi;
+  let tag;
+
+  while ((tag = tagPattern.exec(markup)) !== null) {
+    const [, closing, rawName, attributeSource, selfClosing] = tag;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource);
+    const parent = stack[stack.length - 1];
+    const isCamera = name === "a-camera" || "camera" in attributes;
+    let position = parseVec3(attributes.position, null);
+    if (!position) position = isCamera ? [0, USER_HEIGHT, 0] : [0, 0, 0];
+
+    const matrix = multiply(
+      parent.matrix,
+      compose(
+        position,
+        parseVec3(attributes.rotation, [0, 0, 0]),
+        parseVec3(attributes.scale, [1, 1, 1])
+      )
+    );
+    const entity = {
+      name,
+      attributes,
+      matrix,
+      isCamera,
+      hidden: parent.hidden || attributes.visible === "false",
+    };
+
+    // Assets are not part of the rendered scene
+    if (name !== "a-assets") entities.push(entity);
+    if (!selfClosing && !VOID_TAGS.has(name)) {
+      stack.push({
+        matrix,
+        hidden: entity.hidden || name === "a-assets",
+      });
+    }
+  }
+
+  return {
+    sceneAttributes: parseAttributes(sceneMatch[1]),
+    entities,
+  };
+}
+
+// ============================================================================
+// GEOMETRY
+// ============================================================================
+const PRIMITIVE_TAGS = {
+  "a-box": "box",
+  "a-sphere": "sphere",
+  "a-cylinder": "cylinder",
+  "a-cone": "cone",
+  "a-plane": "plane",
+  "a-circle": "circle",
+  "a-ring": "ring",
+  "a-octahedron": "sphere",
+  "a-icosahedron": "sphere",
+  "a-dodecahedron": "sphere",
+  "a-tetrahedron": "sphere",
+};
+
+function boxTriangles(w, h, d) {
+  const x = w / 2,
+    y = h / 2,
+    z = d / 2;
+  const v = [
+    [-x, -y, -z],
+    [x, -y, -z],
+    [x, y, -z],
+    [-x, y, -z],
+    [-x, -y, z],
+    [x, -y, z],
+    [x, y, z],
+    [-x, y, z],
+  ];
+  const faces = [
+    [4, 5, 6, 7],
+    [1, 0, 3, 2],
+    [0, 4, 7, 3],
+    [5, 1, 2, 6],
+    [3, 7, 6, 2],
+    [0, 1, 5, 4],
+  ];
+  const triangles = [];
+  faces.forEach(([a, b, c, e]) => {
+    triangles.push([v[a], v[b], v[c]], [v[a], v[c], v[e]]);
+  });
+  return triangles;
+}
+
+function latheTriangles(radiusTop, radiusBottom, height, segments, caps) {
+  const triangles = [];
+  const top = height / 2;
+  for (let i = 0; i < segments; i++) {
+    const a0 = (i / segments) * Math.PI * 2;
+    const a1 = ((i + 1) / segments) * Math.PI * 2;
+    const p = (radius, angle, y) => [
+      Math.sin(angle) * radius,
+      y,
+      Math.cos(angle) * radius,
+    ];
+    const t0 = p(radiusTop, a0, top),
+      t1 = p(radiusTop, a1, top),
+      b0 = p(radiusBottom, a0, -top),
+      b1 = p(radiusBottom, a1, -top);
+    triangles.push([t0, b0, b1], [t0, b1, t1]);
+    if (caps) {
+      triangles.push([[0, top, 0], t0, t1], [[0, -top, 0], b1, b0]);
+    }
+  }
+  return triangles;
+}
+
+function sphereTriangles(radius) {
+  const triangles = [];
+  const rings = 8;
+  const segments = 16;
+  const point = (ring, segment) => {
+    const theta = (ring / rings) * Math.PI;
+    const phi = (segment / segments) * Math.PI * 2;
+    return [
+      radius * Math.sin(theta) * Math.sin(phi),
+      radius * Math.cos(theta),
+      radius * Math.sin(theta) * Math.cos(phi),
+    ];
+  };
+  for (let r = 0; r < rings; r++) {
+    for (let s = 0; s < segments; s++) {
+      const a = point(r, s),
+        b = point(r + 1, s),
+        c = point(r + 1, s + 1),
+        d = point(r, s + 1);
+      triangles.push([a, b, c], [a, c, d]);
+    }
+  }
+  return triangles;
+}
+
+function discTriangles(innerRadius, outerRadius) {
+  const triangles = [];
+  const segments = 24;
+  for (let i = 0; i < segments; i++) {
+    const a0 = (i / segments) * Math.PI * 2;
+    const a1 = ((i + 1) / segments) * Math.PI * 2;
+    const p = (radius, angle) => [
+      Math.cos(angle) * radius,
+      Math.sin(angle) * radius,
+      0,
+    ];
+    if (innerRadius > 0) {
+      triangles.push(
+        [p(innerRadius, a0), p(outerRadius, a0), p(outerRadius, a1)],
+        [p(innerRadius, a0), p(outerRadius, a1), p(innerRadius, a1)]
+      );
+    } else {
+      triangles.push([[0, 0, 0], p(outerRadius, a0), p(outerRadius, a1)]);
+    }
+  }
+  return triangles;
+}
+
+function primitiveTriangles(type, props) {
+  const number = (key, fallback) => parseNumber(props[key], fallback);
+
+  switch (type) {
+    case "box":
+      return boxTriangles(
+        number("width", 1),
+        number("height", 1),
+        number("depth", 1)
+      );
+    case "sphere":
+    case "octahedron":
+    case "icosahedron":
+    case "dodecahedron":
+    case "tetrahedron":
+      return sphereTriangles(number("radius", 1));
+    case "cylinder":
+      return latheTriangles(
+        number("radius", 1),
+        number("radius", 1),
+        number("height", 1),
+        16,
+        true
+      );
+    case "cone":
+      return latheTriangles(
+        number("radius-top", number("radiusTop", 0.01)),
+        number("radius-bottom", number("radiusBottom", 1)),
+        number("height", 1),
+        16,
+        true
+      );
+    case "plane": {
+      const x = number("width", 1) / 2;
+      const y = number("height", 1) / 2;
+      return [
+        [
+          [-x, -y, 0],
+          [x, -y, 0],
+          [x, y, 0],
+        ],
+        [
+          [-x, -y, 0],
+          [x, y, 0],
+          [-x, y, 0],
+        ],
+      ];
+    }
+    case "circle":
+      return discTriangles(0, number("radius", 1));
+    case "ring":
+      return discTriangles(
+        number("radius-inner", number("radiusInner", 0.8)),
+        number("radius-outer", number("radiusOuter", 1.2))
+      );
+    default:
+      return [];
+  }
+}
+
+// ============================================================================
+// GLB LOADING (uncompressed meshes only)
+// ============================================================================
+const COMPONENT_READERS = {
+  5120: [1, "readInt8"],
+  5121: [1, "readUInt8"],
+  5122: [2, "readInt16LE"],
+  5123: [2, "readUInt16LE"],
+  5125: [4, "readUInt32LE"],
+  5126: [4, "readFloatLE"],
+};
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+function readAccessor(gltf, binary, index) {
+  const accessor = gltf.accessors[index];
+  const view = gltf.bufferViews[accessor.bufferView];
+  if (!view) return null;
+
+  const [bytes, reader] = COMPONENT_READERS[accessor.componentType];
+  const size = TYPE_SIZES[accessor.type];
+  const stride = view.byteStride || bytes * size;
+  const offset = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const values = [];
+
+  for (let i = 0; i < accessor.count; i++) {
+    const item = [];
+    for (let j = 0; j < size; j++) {
+      item.push(binary[reader](offset + i * stride + j * bytes));
+    }
+    values.push(size === 1 ? item[0] : item);
+  }
+  return values;
+}
+
+function loadGlbTriangles(filePath) {
+  const buffer = fs.readFileSync(filePath);
+  if (buffer.readUInt32LE(0) !== 0x46546c67) return [];
+
+  const jsonLength = buffer.readUInt32LE(12);
+  const gltf = JSON.parse(buffer.slice(20, 20 + jsonLength).toString("utf8"));
+  const binaryStart = 20 + jsonLength + 8;
+  const binary = buffer.slice(
+    binaryStart,
+    binaryStart + buffer.readUInt32LE(20 + jsonLength)
+  );
+  const triangles = [];
+
+  const visit = (nodeIndex, parentMatrix) => {
+    const node = gltf.nodes[nodeIndex];
+    const local = node.matrix
+      ? [0, 1, 2].flatMap((row) => [
+          node.matrix[row],
+          node.matrix[4 + row],
+          node.matrix[8 + row],
+          node.matrix[12 + row],
+        ])
+      : fromQuaternion(
+          node.translation || [0, 0, 0],
+          node.rotation || [0, 0, 0, 1],
+          node.scale || [1, 1, 1]
+        );
+    const matrix = multiply(parentMatrix, local);
+
+    const mesh = node.mesh !== undefined ? gltf.meshes[node.mesh] : null;
+    (mesh ? mesh.primitives : []).forEach((primitive) => {
+      const compressed =
+        primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+      if (compressed || primitive.attributes.POSITION === undefined) return;
+      if (primitive.mode !== undefined && primitive.mode !== 4) return;
+
+      const positions = readAccessor(
+        gltf,
+        binary,
+        primitive.attributes.POSITION
+      );
+      if (!positions) return;
+      const indices =
+        primitive.indices !== undefined
+          ? readAccessor(gltf, binary, primitive.indices)
+          : positions.map((_, i) => i);
+      const material =
+        primitive.material !== undefined
+          ? gltf.materials[primitive.material]
+          : null;
+      const factor = material?.pbrMetallicRoughness?.baseColorFactor;
+      const color = factor
+        ? factor.slice(0, 3).map((c) => Math.round(Math.pow(c, 1 / 2.2) * 255))
+        : null;
+
+      for (let i = 0; i + 2 < indices.length; i += 3) {
+        if (triangles.length >= MAX_TRIANGLES) return;
+        triangles.push({
+          vertices: [
+            transformPoint(matrix, positions[indices[i]]),
+            transformPoint(matrix, positions[indices[i + 1]]),
+            transformPoint(matrix, positions[indices[i + 2]]),
+          ],
+          color,
+        });
+      }
+    });
+
+    (node.children || []).forEach((child) => visit(child, matrix));
+  };
+
+  const scene = gltf.scenes?.[gltf.scene || 0];
+  (scene ? scene.nodes : []).forEach((nodeIndex) =>
+    visit(nodeIndex, identity())
+  );
+  return triangles;
+}
+
+// Resolve gltf-model="#asset", "url(file.glb)" or a plain path to a file
+function resolveModelPath(value, assets, sceneDir) {
+  let src = (value || "").trim();
+  if (src.startsWith("#")) src = assets[src.slice(1)] || "";
+  const url = src.match(/^url\((.*)\)$/);
+  if (url) src = url[1].trim().replace(/^["']|["']$/g, "");
+  if (!src || /^(?:[a-z]+:)?\/\//i.test(src)) return null;
+  return path.resolve(sceneDir, decodeURI(src.split(/[?#]/)[0]));
+}
+
+// ============================================================================
+// RASTERIZER
+// ============================================================================
+function createCanvas(background) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT * 3);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    // Slight vertical gradient so empty space still reads as a scene
+    const shade = 1 - (Math.floor(i / WIDTH) / HEIGHT) * 0.15;
+    pixels[i * 3] = background[0] * shade;
+    pixels[i * 3 + 1] = background[1] * shade;
+    pixels[i * 3 + 2] = background[2] * shade;
+  }
+  return { pixels, depth: new Float32Array(WIDTH * HEIGHT).fill(Infinity) };
+}
+
+// Clip a camera-space polygon against the near plane (z = -NEAR)
+function clipNear(polygon) {
+  const output = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const current = polygon[i];
+    const next = polygon[(i + 1) % polygon.length];
+    const currentInside = current[2] <= -NEAR;
+    const nextInside = next[2] <= -NEAR;
+    if (currentInside) output.push(current);
+    if (currentInside !== nextInside) {
+      const t = (-NEAR - current[2]) / (next[2] - current[2]);
+      output.push([
+        current[0] + (next[0] - current[0]) * t,
+        current[1] + (next[1] - current[1]) * t,
+        -NEAR,
+      ]);
+    }
+  }
+  return output;
+}
+
+function drawTriangle(canvas, view, triangle, color) {
+  const camera = triangle.map((p) => transformPoint(view, p));
+
+  // Flat shading with the normal facing the camera (double sided)
+  let normal = normalize(
+    cross(
+      [
+        triangle[1][0] - triangle[0][0],
+        triangle[1][1] - triangle[0][1],
+        triangle[1][2] - triangle[0][2],
+      ],
+      [
+        triangle[2][0] - triangle[0][0],
+        triangle[2][1] - triangle[0][1],
+        triangle[2][2] - triangle[0][2],
+      ]
+    )
+  );
+  const light = Math.abs(
+    normal[0] * LIGHT[0] + normal[1] * LIGHT[1] + normal[2] * LIGHT[2]
+  );
+  const shade = 0.45 + 0.55 * light;
+  const rgb = color.map((c) => Math.min(255, c * shade));
+
+  const clipped = clipNear(camera);
+  if (clipped.length < 3) return;
+
+  const focal = HEIGHT / 2 / Math.tan(((FOV / 2) * Math.PI) / 180);
+  const projected = clipped.map((p) => [
+    WIDTH / 2 + (p[0] / -p[2]) * focal,
+    HEIGHT / 2 - (p[1] / -p[2]) * focal,
+    1 / -p[2],
+  ]);
+
+  for (let i = 1; i + 1 < projected.length; i++) {
+    fillTriangle(canvas, projected[0], projected[i], projected[i + 1], rgb);
+  }
+}
+
+function fillTriangle(canvas, a, b, c, rgb) {
+  const area = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  if (Math.abs(area) < 1e-9) return;
+
+  const minX = Math.max(0, Math.floor(Math.min(a[0], b[0], c[0])));
+  const maxX = Math.min(WIDTH - 1, Math.ceil(Math.max(a[0], b[0], c[0])));
+  const minY = Math.max(0, Math.floor(Math.min(a[1], b[1], c[1])));
+  const maxY = Math.min(HEIGHT - 1, Math.ceil(Math.max(a[1], b[1], c[1])));
+
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      const px = x + 0.5,
+        py = y + 0.5;
+      const w0 = ((b[0] - px) * (c[1] - py) - (b[1] - py) * (c[0] - px)) / area;
+      const w1 = ((c[0] - px) * (a[1] - py) - (c[1] - py) * (a[0] - px)) / area;
+      const w2 = 1 - w0 - w1;
+      if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+      // Interpolated 1/z: bigger is closer
+      const inverseDepth = w0 * a[2] + w1 * b[2] + w2 * c[2];
+      if (inverseDepth < 1 / FAR) continue;
+      const index = y * WIDTH + x;
+      const depth = 1 / inverseDepth;
+      if (depth >= canvas.depth[index]) continue;
+
+      canvas.depth[index] = depth;
+      canvas.pixels[index * 3] = rgb[0];
+      canvas.pixels[index * 3 + 1] = rgb[1];
+      canvas.pixels[index * 3 + 2] = rgb[2];
+    }
+  }
+}
+
+// ============================================================================
+// PNG ENCODING
+// ============================================================================
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(WIDTH, 0);
+  header.writeUInt32BE(HEIGHT, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  const raw = Buffer.alloc((WIDTH * 3 + 1) * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    raw[y * (WIDTH * 3 + 1)] = 0; // no filter
+    pixels.copy(
+      raw,
+      y * (WIDTH * 3 + 1) + 1,
+      y * WIDTH * 3,
+      (y + 1) * WIDTH * 3
+    );
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+// Render a scene file to a PNG buffer. Returns null when there is nothing
+// to draw (no <a-scene>, or only content this renderer cannot read).
+function renderSceneThumbnail(filePath) {
+  const html = fs.readFileSync(filePath, "utf8");
+  const scene = parseSceneEntities(html);
+  if (!scene) return null;
+
+  const sceneDir = path.dirname(filePath);
+  const assets = {};
+  scene.entities.forEach(({ attributes }) => {
+    if (attributes.id && attributes.src) assets[attributes.id] = attributes.src;
+  });
+
+  let background =
+    parseColor(parseProperties(scene.sceneAttributes.background).color) ||
+    DEFAULT_BACKGROUND;
+  let cameraMatrix = compose([0, USER_HEIGHT, 0], [0, 0, 0], [1, 1, 1]);
+  const meshes = [];
+
+  scene.entities.forEach((entity) => {
+    const { name, attributes } = entity;
+    if (entity.isCamera) {
+      cameraMatrix = entity.matrix;
+      return;
+    }
+    if (entity.hidden) return;
+
+    const material = parseProperties(attributes.material);
+    const color =
+      parseColor(attributes.color) ||
+      parseColor(material.color) ||
+      DEFAULT_COLOR;
+    if (parseNumber(attributes.opacity ?? material.opacity, 1) < 0.05) return;
+
+    if (name === "a-sky") {
+      background = color;
+      return;
+    }
+
+    const geometry = parseProperties(attributes.geometry);
+    const type = PRIMITIVE_TAGS[name] || geometry.primitive;
+    if (type || attributes.geometry !== undefined) {
+      // Primitive attributes (width="2") and geometry="width: 2" both apply
+      const props = { ...attributes, ...geometry };
+      primitiveTriangles(type || "box", props).forEach((vertices) => {
+        meshes.push({
+          vertices: vertices.map((p) => transformPoint(entity.matrix, p)),
+          color,
+        });
+      });
+    }
+
+    const modelPath = resolveModelPath(
+      attributes["gltf-model"],
+      assets,
+      sceneDir
+    );
+    if (modelPath && modelPath.toLowerCase().endsWith(".glb")) {
+      try {
+        loadGlbTriangles(modelPath).forEach((triangle) => {
+          meshes.push({
+            vertices: triangle.vertices.map((p) =>
+              transformPoint(entity.matrix, p)
+            ),
+            color: triangle.color || [200, 200, 200],
+          });
+        });
+      } catch (err) {
+        // Unreadable model - render the rest of the scene
+      }
+    }
+  });
+
+  if (meshes.length === 0) return null;
+
+  const view = invertRigid(cameraMatrix);
+  const canvas = createCanvas(background);
+  meshes.forEach((mesh) =>
+    drawTriangle(canvas, view, mesh.vertices, mesh.color)
+  );
+
+  return encodePng(canvas.pixels);
+}
+
+module.exports = {
+  renderSceneThumbnail,
+  parseAttributes,
+  parseProperties,
+  WIDTH,
+  HEIGHT,
+};
@@ -1,78 +1,440 @@
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const http = require('http');
+const {
+    IGNORE_FILE,
+    isIgnoredPath,
+    createFileEntry,
+    sortFiles,
+    findHtmlFilesRecursive,
+    getHtmlFiles,
+    createListing,
+    generateThumbnails,
+    writeListing,
+    writeAssetIndex,
+} = require('./generate-listing');
+const { createRelay } = require('./pose-relay');
 
 const watchDir = __dirname;
 const debounceDelay = 1000; // Wait 1 second after last change
+const reloadDelay = 300; // Group saves of several files into one reload
+const port = Number(process.env.PORT) || 8080;
+// Only this computer can connect unless HOST is set (e.g. HOST=0.0.0.0 for the LAN)
+const host = process.env.HOST || 'localhost';
+const eventsPath = '/__events';
+const clientScriptPath = '/__live-reload.js';
 let debounceTimer = null;
+let reloadTimer = null;
+let pendingReloads = new Set();
+let pendingChanges = new Set();
+let rescanPending = false;
+let scannedFiles = {}; // HTML files per folder, before the manifests are applied
+let currentListing = {};
+
+// Active fs.watch handles, one per watched directory
+const watchers = new Map();
+
+// Files written by the generator itself (never treated as project changes)
+const generatedPaths = ['files-listing.json', 'assets-listing.json', 'thumbnails'];
+
+// Files that make an open scene page reload when they change
+const reloadExtensions = ['.html', '.js', '.glb', '.gltf', '.bin', '.frag', '.vert', '.glsl', '.css'];
+
+const mimeTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.glb': 'model/gltf-binary',
+    '.gltf': 'model/gltf+json',
+    '.bin': 'application/octet-stream',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.mp4': 'video/mp4',
+    '.frag': 'text/plain; charset=utf-8',
+    '.vert': 'text/plain; charset=utf-8',
+    '.glsl': 'text/plain; charset=utf-8',
+    '.pdf': 'application/pdf',
+};
+
+// Injected into served HTML pages: reloads the page when the page itself or
+// any resource it has loaded (scripts, models, shaders) changes
+const liveReloadClient = `(() => {
+    if (!window.EventSource) return;
+    const source = new EventSource('${eventsPath}');
+    const normalize = (pathname) => {
+        const decoded = decodeURIComponent(pathname);
+        return decoded.endsWith('/') ? decoded + 'index.html' : decoded;
+    };
+    source.addEventListener('reload', (event) => {
+        const { files } = JSON.parse(event.data);
+        const loaded = new Set([normalize(location.pathname)]);
+        performance.getEntriesByType('resource').forEach((entry) => {
+            const url = new URL(entry.name, location.href);
+            if (url.origin === location.origin) loaded.add(normalize(url.pathname));
+        });
+        if (files.some((file) => loaded.has('/' + file))) location.reload();
+    });
+})();
+`;
+
+// Connected Server-Sent Events clients
+const clients = new Set();
+
+// Pose relay for multi-user scenes (served at /__relay)
+const relay = createRelay({ log: console.log });
 
 console.log('🔍 Watching for HTML file changes...');
 console.log('Directory:', watchDir);
 console.log('Press Ctrl+C to stop\n');
 
-// Function to regenerate the listing
-function regenerateListing() {
-    console.log('📝 Regenerating file listing...');
-    exec('node generate-listing.js', { cwd: watchDir }, (error, stdout, stderr) => {
-        if (error) {
-            console.error('❌ Error:', error.message);
-            return;
+// Function to turn an absolute path into a listing path ("Folder/file.html")
+function toRelative(fullPath) {
+    return path.relative(watchDir, fullPath).replace(/\\/g, '/');
+}
+
+// Function to compare two listings folder by folder. A changed folder is
+// sent whole (null when it is gone), so its manifest order and details
+// stay intact in the browser.
+function diffListings(previous, next) {
+    const diff = {};
+    const folders = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    folders.forEach(folder => {
+        if (JSON.stringify(previous[folder]) !== JSON.stringify(next[folder])) {
+            diff[folder] = next[folder] || null;
         }
-        if (stderr) {
-            console.error('⚠️ Warning:', stderr);
+    });
+
+    return diff;
+}
+
+// Function to push an event to every connected browser
+function broadcast(eventName, data) {
+    const message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach(client => client.write(message));
+}
+
+// Function to insert or replace one file in a listing
+function setEntry(listing, entry) {
+    const folder = entry.path.split('/')[0];
+    const files = (listing[folder] || []).filter(file => file.path !== entry.path);
+    files.push(entry);
+    listing[folder] = sortFiles(files);
+}
+
+// Function to drop every file at (or below) a path from a listing
+function removeEntries(listing, relativePath) {
+    Object.keys(listing).forEach(folder => {
+        listing[folder] = listing[folder].filter(file =>
+            file.path !== relativePath && !file.path.startsWith(relativePath + '/')
+        );
+        if (listing[folder].length === 0) delete listing[folder];
+    });
+}
+
+// Function to apply one changed path to a listing
+function applyChange(listing, fullPath) {
+    const relativePath = toRelative(fullPath);
+    // The root is no scene folder; changes to it are handled by a rescan
+    if (!relativePath) return;
+    const isTopLevel = !relativePath.includes('/');
+    let stat = null;
+    try {
+        stat = fs.statSync(fullPath);
+    } catch (err) {
+        // Deleted (or renamed away)
+    }
+
+    if (!stat) {
+        unwatchTree(fullPath);
+        removeEntries(listing, relativePath);
+    } else if (stat.isDirectory()) {
+        // New or moved-in folder: watch it and pick up the HTML files inside
+        removeEntries(listing, relativePath);
+        if (!isIgnoredPath(relativePath, true, watchDir)) {
+            watchTree(fullPath);
+            findHtmlFilesRecursive(fullPath, watchDir).forEach(entry => setEntry(listing, entry));
         }
-        console.log('✅', stdout.trim());
-        console.log('Updated at:', new Date().toLocaleTimeString(), '\n');
+    } else if (!isTopLevel && relativePath.toLowerCase().endsWith('.html')) {
+        setEntry(listing, createFileEntry(fullPath, watchDir));
+    }
+
+    // Scenes depending on a changed asset (or script, which may register
+    // other components) get a new weight / missing-file list. Scenes deleted
+    // in the same batch are removed by their own change.
+    Object.values(listing).forEach(files => {
+        files
+            .filter(file =>
+                (file.assets || []).includes(relativePath) ||
+                (file.missingAssets || []).includes(relativePath)
+            )
+            .map(file => path.join(watchDir, file.path))
+            .filter(scenePath => fs.existsSync(scenePath))
+            .forEach(scenePath => setEntry(listing, createFileEntry(scenePath, watchDir)));
     });
 }
 
-// Debounced regeneration
-function scheduleRegeneration() {
+// Function to update the listing with the paths changed since the last run
+function updateListing() {
+    const changes = [...pendingChanges];
+    pendingChanges = new Set();
+
+    if (rescanPending) {
+        // The ignore rules changed: scan and watch everything again
+        rescanPending = false;
+        unwatchTree(watchDir);
+        watchTree(watchDir);
+        scannedFiles = getHtmlFiles(watchDir);
+    } else {
+        changes.forEach(fullPath => applyChange(scannedFiles, fullPath));
+    }
+
+    // Manifests are read on every update, so editing one needs no rescan
+    const nextListing = createListing(scannedFiles, watchDir);
+    generateThumbnails(nextListing, watchDir);
+
+    const diff = diffListings(currentListing, nextListing);
+    currentListing = nextListing;
+    const changedFolders = Object.keys(diff);
+    if (changedFolders.length === 0) return;
+
+    writeListing(currentListing, watchDir);
+    writeAssetIndex(currentListing, watchDir);
+    console.log(`✅ Listing updated: ${changedFolders.join(', ')}`);
+    console.log('Updated at:', new Date().toLocaleTimeString(), '\n');
+    broadcast('listing', { diff });
+}
+
+// Listing update that keeps the watcher running when a file cannot be read
+// (e.g. removed while it was being read); the next update rescans everything
+function safeUpdateListing() {
+    try {
+        updateListing();
+    } catch (err) {
+        console.error('❌ Listing update failed:', err.message);
+        rescanPending = true;
+    }
+}
+
+// Debounced listing update
+function scheduleUpdate(fullPath) {
+    pendingChanges.add(fullPath);
     if (debounceTimer) {
         clearTimeout(debounceTimer);
     }
-    debounceTimer = setTimeout(regenerateListing, debounceDelay);
+    debounceTimer = setTimeout(safeUpdateListing, debounceDelay);
+}
+
+// Collect changed files and tell open pages to reload
+function scheduleReload(relativePath) {
+    pendingReloads.add(relativePath);
+    if (reloadTimer) {
+        clearTimeout(reloadTimer);
+    }
+    reloadTimer = setTimeout(() => {
+        const files = [...pendingReloads];
+        pendingReloads = new Set();
+        console.log(`🔄 Reload: ${files.join(', ')}`);
+        broadcast('reload', { files });
+    }, reloadDelay);
 }
 
-// Watch all subdirectories
-function watchDirectory(dir) {
+// Handle a change reported by fs.watch
+function handleChange(eventType, dir, filename) {
+    if (!filename) {
+        // The platform did not say what changed: scan everything again
+        console.log(`🔔 ${eventType}: ${toRelative(dir) || '.'} (rescanning)`);
+        rescanPending = true;
+        scheduleUpdate(dir);
+        return;
+    }
+    const fullPath = path.join(dir, filename);
+    const relativePath = toRelative(fullPath);
+    const extension = path.extname(filename).toLowerCase();
+
+    if (relativePath === IGNORE_FILE) {
+        console.log(`🔔 ${eventType}: ${relativePath} (rescanning)`);
+        rescanPending = true;
+        scheduleUpdate(fullPath);
+        return;
+    }
+    if (isIgnoredPath(relativePath, false, watchDir)) return;
+    if (generatedPaths.some(generated => relativePath === generated || relativePath.startsWith(generated + '/'))) return;
+
+    if (extension === '.html') {
+        console.log(`🔔 ${eventType}: ${relativePath}`);
+    }
+    scheduleUpdate(fullPath);
+    if (reloadExtensions.includes(extension)) {
+        scheduleReload(relativePath);
+    }
+}
+
+// Watch a directory and, recursively, every folder below it
+function watchTree(dir) {
+    if (watchers.has(dir)) return;
+
     try {
         const watcher = fs.watch(dir, { recursive: false }, (eventType, filename) => {
-            if (filename && filename.toLowerCase().endsWith('.html')) {
-                console.log(`🔔 ${eventType}: ${filename}`);
-                scheduleRegeneration();
-            }
+            handleChange(eventType, dir, filename);
         });
+        // Raised e.g. when the folder itself is deleted
+        watcher.on('error', () => unwatchTree(dir));
+        watchers.set(dir, watcher);
+    } catch (err) {
+        console.error('Error setting up watch:', dir, err.message);
+        return;
+    }
 
-        // Watch subdirectories (for new HTML files in folders)
-        const items = fs.readdirSync(dir);
-        items.forEach(item => {
-            const fullPath = path.join(dir, item);
-            try {
-                const stat = fs.statSync(fullPath);
-                if (stat.isDirectory() && !item.startsWith('.') && !item.startsWith('node_modules')) {
-                    fs.watch(fullPath, { recursive: false }, (eventType, filename) => {
-                        if (filename && filename.toLowerCase().endsWith('.html')) {
-                            console.log(`🔔 ${eventType}: ${item}/${filename}`);
-                            scheduleRegeneration();
-                        }
-                    });
-                }
-            } catch (err) {
-                // Skip files we can't access
-            }
-        });
+    let items = [];
+    try {
+        items = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+        // Skip folders we can't access
+    }
+    items.forEach(item => {
+        const fullPath = path.join(dir, item.name);
+        if (item.isDirectory() && !isIgnoredPath(toRelative(fullPath), true, watchDir)) {
+            watchTree(fullPath);
+        }
+    });
+}
+
+// Stop watching a directory and everything below it
+function unwatchTree(dir) {
+    watchers.forEach((watcher, watchedDir) => {
+        if (watchedDir === dir || watchedDir.startsWith(dir + path.sep)) {
+            watcher.close();
+            watchers.delete(watchedDir);
+        }
+    });
+}
+
+// Server-Sent Events endpoint: full listing on connect, diffs and reloads after
+function handleEvents(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.write('retry: 2000\n\n');
+    res.write(`event: listing\ndata: ${JSON.stringify({ listing: currentListing })}\n\n`);
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+}
 
+// Serve a project file, adding the live-reload client to HTML pages
+function handleFile(req, res) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
     } catch (err) {
-        console.error('Error setting up watch:', err);
+        res.writeHead(400);
+        res.end('Bad request');
+        return;
+    }
+
+    let filePath = path.join(watchDir, pathname);
+    if (filePath !== watchDir && !filePath.startsWith(watchDir + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
     }
+    // Dot-files and dot-folders (.git, .vscode, ...) are never served
+    if (pathname.split('/').some(segment => segment.startsWith('.'))) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Not found');
+        return;
+    }
+
+    fs.stat(filePath, (statError, stat) => {
+        if (!statError && stat.isDirectory()) {
+            if (!pathname.endsWith('/')) {
+                res.writeHead(301, { Location: encodeURI(pathname + '/') });
+                res.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (readError, content) => {
+            if (readError) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+
+            const extension = path.extname(filePath).toLowerCase();
+            const html = extension === '.html' ? content.toString('utf8') : '';
+            // Pages that follow the event stream themselves (index.html) get
+            // no second stream: browsers allow only 6 connections per host
+            if (html && !html.includes(eventsPath.slice(1))) {
+                const tag = `<script src="${clientScriptPath}"></script>`;
+                content = /<\/body>/i.test(html)
+                    ? html.replace(/<\/body>(?![\s\S]*<\/body>)/i, `${tag}\n</body>`)
+                    : html + tag;
+            }
+
+            res.writeHead(200, {
+                'Content-Type': mimeTypes[extension] || 'application/octet-stream',
+                'Cache-Control': 'no-cache',
+            });
+            res.end(content);
+        });
+    });
 }
 
-// Initial generation
-regenerateListing();
+// Local HTTP server for the project with the live-reload channel and the
+// multi-user pose relay
+const server = http.createServer((req, res) => {
+    if (relay.handle(req, res)) return;
+    const pathname = req.url.split('?')[0];
+
+    if (pathname === eventsPath) {
+        handleEvents(req, res);
+    } else if (pathname === clientScriptPath) {
+        res.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8' });
+        res.end(liveReloadClient);
+    } else {
+        handleFile(req, res);
+    }
+});
+
+// Keep idle event streams open through proxies
+setInterval(() => {
+    clients.forEach(client => client.write(': ping\n\n'));
+}, 30000);
+
+server.on('error', (err) => {
+    console.error('❌ Server error:', err.message);
+});
+
+server.listen(port, host, () => {
+    console.log(`🌐 Serving project at http://${host}:${port}/\n`);
+});
+
+// Initial generation (full scan); later changes are applied incrementally
+console.log('📝 Generating file listing...');
+scannedFiles = getHtmlFiles(watchDir);
+currentListing = createListing(scannedFiles, watchDir);
+generateThumbnails(currentListing, watchDir);
+writeListing(currentListing, watchDir);
+writeAssetIndex(currentListing, watchDir);
+console.log('✅ Found folders:', Object.keys(currentListing).length, '\n');
 
 // Start watching
-watchDirectory(watchDir);
+watchTree(watchDir);
+console.log(`👀 Watching ${watchers.size} folders\n`);
 
 // Handle exit
 process.on('SIGINT', () => {